@@ -0,0 +1,125 @@
+import { getDb } from './db.js';
+import { observeToolCall } from './metrics.js';
+import { log } from './trace.js';
+
+// Audit log of tool invocations. Every call of a tool is recorded with where it came from:
+//   rest — /api/tools/*   mcp — an MCP session (session_id)   chat — a chat run (conversation_id, if stored)
+// together with the caller (user_id, and the usage subject `token:<id>` / `ip:<address>`), the arguments,
+// the result text, the error flag and the duration. Each record is also counted in /metrics and logged with the
+// current trace id.
+
+export const AUDIT_SOURCES = ['rest', 'mcp', 'chat'];
+
+// Result text beyond this length is cut off
+const RESULT_MAX = 4000;
+
+function rowToAudit(r) {
+  return {
+    id: r.id,
+    createdAt: r.created_at,
+    source: r.source,
+    tool: r.tool,
+    userId: r.user_id,
+    userName: r.user_name ?? null,
+    subject: r.subject,
+    sessionId: r.session_id,
+    conversationId: r.conversation_id,
+    args: r.args ? JSON.parse(r.args) : null,
+    result: r.result,
+    isError: !!r.is_error,
+    durationMs: r.duration_ms,
+  };
+}
+
+export function recordAudit({ source, tool, userId, subject, sessionId, conversationId, args, result, isError = false, durationMs }) {
+  const now = Date.now();
+  const text = typeof result === 'string' ? result : JSON.stringify(result ?? null);
+  const info = getDb()
+    .prepare(`INSERT INTO audit_log(created_at, created_at_ms, source, tool, user_id, subject, session_id, conversation_id, args, result, is_error, duration_ms)
+      VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(
+      new Date(now).toISOString(),
+      now,
+      source,
+      tool,
+      userId ?? null,
+      subject ?? null,
+      sessionId ?? null,
+      conversationId ?? null,
+      args === undefined ? null : JSON.stringify(args),
+      text.length > RESULT_MAX ? `${text.slice(0, RESULT_MAX)}…` : text,
+      isError ? 1 : 0,
+      Math.round(durationMs)
+    );
+  observeToolCall({ tool, source, isError, seconds: durationMs / 1000 });
+  log(`tool ${tool} (${source}) ${isError ? 'error' : 'ok'} in ${Math.round(durationMs)}ms`);
+  return Number(info.lastInsertRowid);
+}
+
+// Text of a pooled call result ({ isError, text }) or an MCP CallToolResult ({ content, isError })
+function resultText(out) {
+  if (typeof out?.text === 'string') return out.text;
+  return (out?.content || []).map((c) => c.text ?? '').join('\n');
+}
+
+// Runs `fn` and records the call; a throw is recorded as an error and rethrown. The record ids are pushed to
+// `recorded`, if given.
+export async function audited(context, tool, args, fn, recorded) {
+  const start = performance.now();
+  try {
+    const out = await fn();
+    const id = recordAudit({ ...context, tool, args, result: resultText(out), isError: !!out?.isError, durationMs: performance.now() - start });
+    recorded?.push(id);
+    return out;
+  } catch (e) {
+    const id = recordAudit({ ...context, tool, args, result: String(e?.message || e), isError: true, durationMs: performance.now() - start });
+    recorded?.push(id);
+    throw e;
+  }
+}
+
+// Pooled toolset (see McpPool.toolset) whose calls are recorded with `context`. A chat run without a conversation
+// only gets one when it pauses; `assignConversation(id)` then files the calls recorded so far, and later ones, under it.
+export function auditToolset(toolset, context) {
+  const own = { ...context };
+  const recorded = [];
+  return {
+    ...toolset,
+    callTool: (name, args) => audited(own, name, args, () => toolset.callTool(name, args), recorded),
+    assignConversation(conversationId) {
+      own.conversationId = conversationId;
+      if (!recorded.length) return;
+      getDb()
+        .prepare(`UPDATE audit_log SET conversation_id = ? WHERE id IN (${recorded.map(() => '?').join(', ')})`)
+        .run(conversationId, ...recorded);
+    },
+  };
+}
+
+// Newest first. Filters: userId, source, tool, isError, sessionId, conversationId, from/to (epoch ms, inclusive).
+export function listAudit({ page = 1, pageSize = 50, userId, source, tool, isError, sessionId, conversationId, from, to } = {}) {
+  const size = Math.max(1, Math.min(100, Number(pageSize)));
+  const p = Math.max(1, Number(page));
+  const where = [];
+  const params = [];
+  const filter = (sql, value) => {
+    if (value === undefined || value === null || value === '') return;
+    where.push(sql);
+    params.push(value);
+  };
+  filter('a.user_id = ?', userId);
+  filter('a.source = ?', source);
+  filter('a.tool = ?', tool);
+  filter('a.is_error = ?', isError === undefined ? undefined : isError ? 1 : 0);
+  filter('a.session_id = ?', sessionId);
+  filter('a.conversation_id = ?', conversationId);
+  filter('a.created_at_ms >= ?', from);
+  filter('a.created_at_ms <= ?', to);
+  const sql = where.length ? where.join(' AND ') : '1 = 1';
+  const total = getDb().prepare(`SELECT COUNT(1) AS c FROM audit_log a WHERE ${sql}`).get(...params).c;
+  const rows = getDb()
+    .prepare(`SELECT a.*, u.name AS user_name FROM audit_log a LEFT JOIN users u ON u.id = a.user_id
+      WHERE ${sql} ORDER BY a.created_at_ms DESC, a.id DESC LIMIT ? OFFSET ?`)
+    .all(...params, size, (p - 1) * size);
+  return { items: rows.map(rowToAudit), page: p, pageSize: size, total, pages: Math.max(1, Math.ceil(total / size)) };
+}
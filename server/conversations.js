@@ -0,0 +1,178 @@
+import { getDb } from './db.js';
+
+// Chat conversations persisted in SQLite. Messages are stored in a provider-neutral shape:
+//   { role: 'system'|'user'|'assistant'|'tool', content: string,
+//     toolCalls?: [{ id, name, args }]            (assistant)
+//     toolCallId?, toolName?, isError?            (tool result) }
+// and converted to/from OpenAI chat messages and AI SDK core messages at the edges.
+
+const TITLE_MAX = 60;
+
+function rowToMessage(r) {
+  const m = { id: r.id, role: r.role, content: r.content, createdAt: r.created_at };
+  if (r.tool_calls) m.toolCalls = JSON.parse(r.tool_calls);
+  if (r.tool_call_id) m.toolCallId = r.tool_call_id;
+  if (r.tool_name) m.toolName = r.tool_name;
+  if (r.is_error) m.isError = true;
+  return m;
+}
+
+// Conversations belong to the user who created them; `userId` limits lookups to that user's conversations
+export function createConversation({ title = '', userId } = {}) {
+  const now = new Date().toISOString();
+  const info = getDb()
+    .prepare('INSERT INTO conversations(title, created_at, updated_at, user_id) VALUES(?, ?, ?, ?)')
+    .run(title, now, now, userId ?? null);
+  return { id: info.lastInsertRowid, title, created_at: now, updated_at: now, user_id: userId ?? null };
+}
+
+export function getConversation(id, { userId } = {}) {
+  if (userId === undefined) return getDb().prepare('SELECT * FROM conversations WHERE id = ?').get(id) || null;
+  return getDb().prepare('SELECT * FROM conversations WHERE id = ? AND user_id = ?').get(id, userId) || null;
+}
+
+export function listConversations({ page = 1, pageSize = 50, userId } = {}) {
+  const size = Math.max(1, Math.min(100, Number(pageSize)));
+  const p = Math.max(1, Number(page));
+  const where = userId === undefined ? '1 = 1' : 'c.user_id = ?';
+  const params = userId === undefined ? [] : [userId];
+  const total = getDb().prepare(`SELECT COUNT(1) as c FROM conversations c WHERE ${where}`).get(...params).c;
+  const rows = getDb().prepare(`SELECT c.*, (SELECT COUNT(1) FROM messages m WHERE m.conversation_id = c.id) AS message_count
+    FROM conversations c WHERE ${where} ORDER BY c.updated_at DESC, c.id DESC LIMIT ? OFFSET ?`).all(...params, size, (p - 1) * size);
+  return { items: rows, page: p, pageSize: size, total, pages: Math.max(1, Math.ceil(total / size)) };
+}
+
+export function renameConversation(id, title) {
+  const info = getDb().prepare('UPDATE conversations SET title = ?, updated_at = ? WHERE id = ?').run(title, new Date().toISOString(), id);
+  return info.changes ? getConversation(id) : null;
+}
+
+export function deleteConversation(id) {
+  return getDb().prepare('DELETE FROM conversations WHERE id = ?').run(id).changes > 0;
+}
+
+export function getMessages(conversationId) {
+  return getDb().prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY id ASC').all(conversationId).map(rowToMessage);
+}
+
+// Append neutral messages; the first user message also becomes the title of an untitled conversation
+export function appendMessages(conversationId, messages) {
+  const now = new Date().toISOString();
+  const insert = getDb().prepare(`INSERT INTO messages(conversation_id, role, content, tool_calls, tool_call_id, tool_name, is_error, created_at)
+    VALUES(?, ?, ?, ?, ?, ?, ?, ?)`);
+  getDb().transaction(() => {
+    for (const m of messages) {
+      insert.run(
+        conversationId,
+        m.role,
+        typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''),
+        m.toolCalls && m.toolCalls.length ? JSON.stringify(m.toolCalls) : null,
+        m.toolCallId || null,
+        m.toolName || null,
+        m.isError ? 1 : 0,
+        now
+      );
+    }
+    const conv = getConversation(conversationId);
+    const firstUser = messages.find((m) => m.role === 'user' && typeof m.content === 'string' && m.content.trim());
+    const title = !conv.title && firstUser ? firstUser.content.trim().slice(0, TITLE_MAX) : conv.title;
+    getDb().prepare('UPDATE conversations SET title = ?, updated_at = ? WHERE id = ?').run(title, now, conversationId);
+  })();
+}
+
+// OpenAI chat.completions format
+
+export function toOpenAIMessages(messages) {
+  return messages.map((m) => {
+    if (m.role === 'assistant' && m.toolCalls) {
+      return {
+        role: 'assistant',
+        content: m.content || '',
+        tool_calls: m.toolCalls.map((tc) => ({
+          id: tc.id,
+          type: 'function',
+          function: { name: tc.name, arguments: JSON.stringify(tc.args || {}) },
+        })),
+      };
+    }
+    if (m.role === 'tool') {
+      return { role: 'tool', content: m.content, tool_call_id: m.toolCallId };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+export function fromOpenAIMessages(messages) {
+  const toolNames = new Map();
+  return messages.map((m) => {
+    if (m.role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length) {
+      const toolCalls = m.tool_calls.map((tc) => {
+        toolNames.set(tc.id, tc.function?.name);
+        let args = {};
+        try {
+          args = tc.function?.arguments ? JSON.parse(tc.function.arguments) : {};
+        } catch (_) { /* keep empty args */ }
+        return { id: tc.id, name: tc.function?.name, args };
+      });
+      return { role: 'assistant', content: m.content || '', toolCalls };
+    }
+    if (m.role === 'tool') {
+      return { role: 'tool', content: m.content, toolCallId: m.tool_call_id, toolName: toolNames.get(m.tool_call_id) };
+    }
+    return { role: m.role, content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '') };
+  });
+}
+
+// Vercel AI SDK core message format
+
+export function toCoreMessages(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.role === 'assistant' && m.toolCalls) {
+      const parts = m.content ? [{ type: 'text', text: m.content }] : [];
+      for (const tc of m.toolCalls) {
+        parts.push({ type: 'tool-call', toolCallId: tc.id, toolName: tc.name, args: tc.args || {} });
+      }
+      out.push({ role: 'assistant', content: parts });
+    } else if (m.role === 'tool') {
+      const part = { type: 'tool-result', toolCallId: m.toolCallId, toolName: m.toolName, result: m.content };
+      if (m.isError) part.isError = true;
+      const prev = out[out.length - 1];
+      if (prev && prev.role === 'tool') prev.content.push(part);
+      else out.push({ role: 'tool', content: [part] });
+    } else {
+      out.push({ role: m.role, content: m.content });
+    }
+  }
+  return out;
+}
+
+export function fromCoreMessages(messages) {
+  const out = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      for (const part of m.content || []) {
+        // Failed MCP calls are returned to the model as { isError: true, error } (see buildAiTools in index.js)
+        const failed = !!(part.result && typeof part.result === 'object' && part.result.isError);
+        const result = failed ? part.result.error : part.result;
+        out.push({
+          role: 'tool',
+          content: typeof result === 'string' ? result : JSON.stringify(result),
+          toolCallId: part.toolCallId,
+          toolName: part.toolName,
+          isError: !!part.isError || failed,
+        });
+      }
+    } else if (typeof m.content === 'string') {
+      out.push({ role: m.role, content: m.content });
+    } else {
+      const parts = Array.isArray(m.content) ? m.content : [];
+      const text = parts.filter((p) => p.type === 'text').map((p) => p.text).join('');
+      const toolCalls = parts
+        .filter((p) => p.type === 'tool-call')
+        .map((p) => ({ id: p.toolCallId, name: p.toolName, args: p.args }));
+      out.push(toolCalls.length ? { role: m.role, content: text, toolCalls } : { role: m.role, content: text });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,280 @@
+import { EventEmitter } from 'events';
+import Database from 'better-sqlite3';
+import { migrate } from './migrator.js';
+import { parseTimestamp } from './time.js';
+import { observeQuery } from './metrics.js';
+import { getIdempotencyTtlMs, requestHash } from './idempotency.js';
+
+let db;
+
+// Emits 'change' with { action, entries, userId } after every committed write, whichever path (REST, MCP, chat)
+// made it. A batch insert is one event carrying all of its entries.
+export const entryEvents = new EventEmitter();
+entryEvents.setMaxListeners(0);
+
+function emitChanges(action, entries, userId) {
+  if (entries.length) entryEvents.emit('change', { action, entries, userId: userId ?? null });
+}
+
+function emitChange(action, entry, userId = entry?.user_id) {
+  if (entry) emitChanges(action, [entry], userId);
+  return entry;
+}
+
+// Open (or create) the SQLite database and bring its schema up to date
+export function initDb(dbPath) {
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db, { log: (msg) => console.log(msg) });
+  timeStatements(db);
+  return db;
+}
+
+// SQLite timings for /metrics: run/get/all of every prepared statement are observed by SQL verb and first table
+function timeStatements(database) {
+  const prepare = database.prepare.bind(database);
+  database.prepare = (sql) => {
+    const stmt = prepare(sql);
+    const labels = {
+      operation: (/^\s*(\w+)/.exec(sql)?.[1] || 'other').toLowerCase(),
+      table: /\b(?:from|into|update)\s+(\w+)/i.exec(sql)?.[1] || '',
+    };
+    for (const method of ['run', 'get', 'all']) {
+      const call = stmt[method].bind(stmt);
+      stmt[method] = (...args) => {
+        const start = performance.now();
+        try {
+          return call(...args);
+        } finally {
+          observeQuery(labels, (performance.now() - start) / 1000);
+        }
+      };
+    }
+    return stmt;
+  };
+}
+
+export function getDb() {
+  if (!db) throw new Error('Database not initialized; call initDb() first');
+  return db;
+}
+
+// `actor` is the path that made the change (rest, mcp, import), `userId` the user who made it
+function recordHistory(entryId, action, before, after, { actor, userId }) {
+  getDb()
+    .prepare('INSERT INTO entry_history(entry_id, action, before, after, actor, user_id, changed_at) VALUES(?, ?, ?, ?, ?, ?, ?)')
+    .run(entryId, action, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, actor || null, userId ?? null, new Date().toISOString());
+}
+
+// Core logic shared by REST and MCP tools. `userId` is the owner: reads and writes only see that user's entries
+// (omitted only by maintenance code and tests that work on the whole table).
+export function insertEntry({ value, description }, { actor, userId } = {}) {
+  const entry = getDb().transaction(() => insertRow({ value, description, createdAtMs: Date.now() }, { actor, userId }))();
+  return emitChange('create', entry, userId);
+}
+
+function insertRow({ value, description, createdAtMs }, { actor, userId }) {
+  const createdAt = new Date(createdAtMs).toISOString();
+  const info = getDb()
+    .prepare('INSERT INTO entries(value, description, created_at, created_at_ms, user_id) VALUES(?, ?, ?, ?, ?)')
+    .run(value, description, createdAt, createdAtMs, userId ?? null);
+  const inserted = { id: info.lastInsertRowid, value, description, created_at: createdAt };
+  recordHistory(inserted.id, 'create', null, inserted, { actor, userId });
+  return inserted;
+}
+
+// Inserts several entries in one transaction (all or none). Items may carry `createdAtMs` (default: now).
+// Subscribers get one change event carrying the whole batch.
+export function insertEntries(items, { actor, userId } = {}) {
+  return storeEntries(items, { actor, userId }).entries;
+}
+
+// insertEntries() with an optional idempotency key (see idempotency.js) of the `tool` making the call.
+// Returns { entries, replayed }, where a replay carries the entries of the first call (deleted ones with their
+// `deleted_at`), or { error } on a key conflict.
+export function storeEntries(items, { actor, userId, idempotencyKey, tool = 'store_many' } = {}) {
+  const now = Date.now();
+  const owner = userId ?? 0;
+  const result = getDb().transaction(() => {
+    const hash = idempotencyKey === undefined ? null : requestHash(tool, items);
+    if (hash) {
+      getDb().prepare('DELETE FROM idempotency_keys WHERE created_at_ms < ?').run(now - getIdempotencyTtlMs());
+      const seen = getDb().prepare('SELECT request_hash, entry_ids FROM idempotency_keys WHERE user_id = ? AND key = ?').get(owner, idempotencyKey);
+      if (seen && seen.request_hash !== hash) return { error: 'idempotencyKey was already used for a different request' };
+      if (seen) {
+        const ids = JSON.parse(seen.entry_ids);
+        const rows = getDb().prepare(`SELECT id, value, description, created_at, deleted_at FROM entries WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+        // entries deleted since the first call keep their deleted_at, so they are not mistaken for live ones
+        const byId = new Map(rows.map(({ deleted_at: deletedAt, ...r }) => [r.id, deletedAt ? { ...r, deleted_at: deletedAt } : r]));
+        return { entries: ids.map((id) => byId.get(id)).filter(Boolean), replayed: true };
+      }
+    }
+    const entries = items.map(({ value, description, createdAtMs = now }) => insertRow({ value, description, createdAtMs }, { actor, userId }));
+    if (hash) {
+      getDb()
+        .prepare('INSERT INTO idempotency_keys(user_id, key, request_hash, entry_ids, created_at_ms) VALUES(?, ?, ?, ?, ?)')
+        .run(owner, idempotencyKey, hash, JSON.stringify(entries.map((e) => Number(e.id))), now);
+    }
+    return { entries, replayed: false };
+  })();
+  if (result.entries && !result.replayed) emitChanges('create', result.entries, userId);
+  return result;
+}
+
+export function getEntry(id, { includeDeleted = false, userId } = {}) {
+  const where = ['id = ?'];
+  const params = [id];
+  if (!includeDeleted) where.push('deleted_at IS NULL');
+  if (userId !== undefined) {
+    where.push('user_id = ?');
+    params.push(userId);
+  }
+  return getDb().prepare(`SELECT * FROM entries WHERE ${where.join(' AND ')}`).get(...params) || null;
+}
+
+// Returns the updated entry, or null if it does not exist (or is deleted, or owned by another user)
+export function updateEntry(id, { value, description }, { actor, userId } = {}) {
+  const entry = getDb().transaction(() => {
+    const before = getEntry(id, { userId });
+    if (!before) return null;
+    const next = {
+      value: value === undefined ? before.value : value,
+      description: description === undefined ? before.description : description,
+    };
+    getDb().prepare('UPDATE entries SET value = ?, description = ? WHERE id = ?').run(next.value, next.description, id);
+    const after = getEntry(id);
+    recordHistory(id, 'update', before, after, { actor, userId });
+    return after;
+  })();
+  return emitChange('update', entry);
+}
+
+// Soft delete: the row stays in the table but is excluded from sum/list until restored
+export function deleteEntry(id, { actor, userId } = {}) {
+  const entry = getDb().transaction(() => {
+    const before = getEntry(id, { userId });
+    if (!before) return null;
+    getDb().prepare('UPDATE entries SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+    const after = getEntry(id, { includeDeleted: true });
+    recordHistory(id, 'delete', before, after, { actor, userId });
+    return after;
+  })();
+  return emitChange('delete', entry);
+}
+
+export function restoreEntry(id, { actor, userId } = {}) {
+  const entry = getDb().transaction(() => {
+    const before = getEntry(id, { includeDeleted: true, userId });
+    if (!before || !before.deleted_at) return null;
+    getDb().prepare('UPDATE entries SET deleted_at = NULL WHERE id = ?').run(id);
+    const after = getEntry(id);
+    recordHistory(id, 'restore', before, after, { actor, userId });
+    return after;
+  })();
+  return emitChange('restore', entry);
+}
+
+export function getEntryHistory(id) {
+  const rows = getDb()
+    .prepare('SELECT h.*, u.name AS user_name FROM entry_history h LEFT JOIN users u ON u.id = h.user_id WHERE h.entry_id = ? ORDER BY h.id ASC')
+    .all(id);
+  return rows.map((r) => ({
+    ...r,
+    before: r.before ? JSON.parse(r.before) : null,
+    after: r.after ? JSON.parse(r.after) : null,
+  }));
+}
+
+// Range filter on the canonical epoch column; from/to are epoch ms or ISO strings (inclusive)
+export function rangeWhere({ from, to, userId } = {}) {
+  const where = ['deleted_at IS NULL'];
+  const params = [];
+  if (userId !== undefined) {
+    where.push('user_id = ?');
+    params.push(userId);
+  }
+  if (from !== undefined && from !== null && from !== '') {
+    where.push('created_at_ms >= ?');
+    params.push(parseTimestamp(from));
+  }
+  if (to !== undefined && to !== null && to !== '') {
+    where.push('created_at_ms <= ?');
+    params.push(parseTimestamp(to, { endOfDay: true }));
+  }
+  return { sql: where.join(' AND '), params };
+}
+
+export function sumEntries({ from, to, userId }) {
+  const { sql, params } = rangeWhere({ from, to, userId });
+  const row = getDb().prepare(`SELECT COALESCE(SUM(value), 0) as total FROM entries WHERE ${sql}`).get(...params);
+  return row.total || 0;
+}
+
+// Entries in a range, oldest first, in arrays of up to `batchSize`. Batches are read with keyset pagination so no
+// statement stays open while a caller streams them out.
+export function* entryBatches({ from, to, userId, batchSize = 500 } = {}) {
+  const { sql, params } = rangeWhere({ from, to, userId });
+  const stmt = getDb().prepare(`SELECT id, value, description, created_at, created_at_ms FROM entries
+    WHERE ${sql} AND (created_at_ms > ? OR (created_at_ms = ? AND id > ?)) ORDER BY created_at_ms ASC, id ASC LIMIT ?`);
+  let cursor = { ms: Number.MIN_SAFE_INTEGER, id: 0 };
+  for (;;) {
+    const rows = stmt.all(...params, cursor.ms, cursor.ms, cursor.id, batchSize);
+    if (!rows.length) return;
+    const last = rows[rows.length - 1];
+    cursor = { ms: last.created_at_ms, id: last.id };
+    yield rows.map(({ created_at_ms: _ms, ...entry }) => entry);
+    if (rows.length < batchSize) return;
+  }
+}
+
+// Sort keys of listEntries; `relevance` (bm25 rank of the text match) needs `q`
+export const ENTRY_SORTS = ['created_at', 'value', 'relevance'];
+const SORT_COLUMNS = { created_at: 'entries.created_at_ms', value: 'entries.value' };
+
+// Free text → FTS5 query: every word must match, as a prefix ("cof" finds "coffee"). Null when there is no word.
+export function ftsQuery(text) {
+  const words = String(text ?? '').match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map((w) => `"${w}"*`).join(' ') : null;
+}
+
+// A page of entries (newest first by default). Optional filters: `q` (text search on description; items then carry
+// a `snippet` with the matches wrapped in **), `minValue`/`maxValue` (inclusive) and the time range.
+export function listEntries({ page = 1, pageSize = 10, from, to, userId, q, minValue, maxValue, sort = 'created_at', order = 'desc' }) {
+  const size = Math.max(1, Math.min(100, Number(pageSize)));
+  const p = Math.max(1, Number(page));
+  const range = rangeWhere({ from, to, userId });
+  const where = [range.sql];
+  const params = [...range.params];
+  if (minValue !== undefined && minValue !== null) {
+    where.push('value >= ?');
+    params.push(minValue);
+  }
+  if (maxValue !== undefined && maxValue !== null) {
+    where.push('value <= ?');
+    params.push(maxValue);
+  }
+  const match = q ? ftsQuery(q) : null;
+  let source = 'entries';
+  let columns = 'entries.*';
+  if (match) {
+    source = 'entries JOIN entries_fts ON entries_fts.rowid = entries.id';
+    columns = "entries.*, snippet(entries_fts, 0, '**', '**', '…', 16) AS snippet";
+    where.push('entries_fts MATCH ?');
+    params.push(match);
+  } else if (q) {
+    where.push('0');
+  }
+  const sql = where.join(' AND ');
+  const dir = order === 'asc' ? 'ASC' : 'DESC';
+  // bm25() is lower for better matches, so the most relevant come first in descending order
+  const orderBy = sort === 'relevance' && match
+    ? `bm25(entries_fts) ${dir === 'DESC' ? 'ASC' : 'DESC'}, entries.created_at_ms DESC, entries.id DESC`
+    : `${SORT_COLUMNS[sort] || SORT_COLUMNS.created_at} ${dir}, entries.id ${dir}`;
+  const totalRow = getDb().prepare(`SELECT COUNT(1) as c FROM ${source} WHERE ${sql}`).get(...params);
+  const total = totalRow.c;
+  const pages = Math.max(1, Math.ceil(total / size));
+  const offset = (p - 1) * size;
+  const rows = getDb().prepare(`SELECT ${columns} FROM ${source} WHERE ${sql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`).all(...params, size, offset);
+  return { items: rows, page: p, pageSize: size, total, pages };
+}
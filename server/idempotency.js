@@ -0,0 +1,37 @@
+import { createHash } from 'crypto';
+
+// Idempotency keys for `store` and `store_many`: a repeat of a key by the same user within the retention window
+// (IDEMPOTENCY_KEY_TTL_HOURS, default 24) returns the entries of the first call instead of inserting again.
+// A key reused with other entries, or by the other tool, is a conflict.
+
+export const IDEMPOTENCY_KEY_MAX_LENGTH = 200;
+const DEFAULT_TTL_HOURS = 24;
+
+export function parseIdempotencyTtlMs(env = process.env) {
+  const raw = env.IDEMPOTENCY_KEY_TTL_HOURS;
+  const hours = raw === undefined || raw === '' ? DEFAULT_TTL_HOURS : Number(raw);
+  if (!Number.isFinite(hours) || hours <= 0) throw new Error('IDEMPOTENCY_KEY_TTL_HOURS must be a positive number');
+  return hours * 3_600_000;
+}
+
+let cached = null;
+
+export function getIdempotencyTtlMs() {
+  if (cached === null) cached = parseIdempotencyTtlMs();
+  return cached;
+}
+
+// Returns an error message, or null when `key` is absent or usable
+export function validateIdempotencyKey(key) {
+  if (key === undefined || key === null) return null;
+  if (typeof key !== 'string' || !key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return `idempotencyKey must be a non-empty string of at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Fingerprint of a store call, to tell a retry from a different request under the same key
+export function requestHash(tool, items) {
+  const canonical = items.map(({ value, description }) => [value, description]);
+  return createHash('sha256').update(JSON.stringify([tool, canonical])).digest('hex');
+}
@@ -1,19 +1,66 @@
 import express from 'express';
+import { Readable } from 'stream';
 import cors from 'cors';
-import Database from 'better-sqlite3';
 import path from 'path';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
-import { Client as MCPClient } from '@modelcontextprotocol/sdk/client/index.js';
-import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
-import { ListToolsResultSchema, CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
 import { generateText, streamText, tool as aiTool } from 'ai';
-import { openai as aiOpenAI, createOpenAI as createAiOpenAI } from '@ai-sdk/openai';
 import { z } from 'zod';
+import {
+  initDb,
+  storeEntries,
+  sumEntries,
+  listEntries,
+  updateEntry,
+  deleteEntry,
+  restoreEntry,
+  getEntry,
+  getEntryHistory,
+  entryBatches,
+} from './db.js';
+import { parseStatsArgs, statsEntries } from './stats.js';
+import {
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  deleteConversation,
+  getMessages,
+  appendMessages,
+  toOpenAIMessages,
+  fromOpenAIMessages,
+  toCoreMessages,
+  fromCoreMessages,
+} from './conversations.js';
+import { parseRange } from './time.js';
+import { parseListArgs } from './search.js';
+import { EXPORT_FORMATS, CONTENT_TYPES, exportChunks, importEntries } from './transfer.js';
+import { createMcpServer, sumResult, storeManyResult, validateStoreItems } from './mcp.js';
+import { validateIdempotencyKey } from './idempotency.js';
+import { getAiModel, createChatClient, listModels, resolveChatOptions } from './providers.js';
+import { getMcpPool } from './mcp-clients.js';
+import { toolPolicy, findPendingToolCalls, resolveApprovals, applyApprovals } from './policies.js';
+import {
+  DEFAULT_USER_ID,
+  getUser,
+  createUser,
+  getUserByName,
+  listUsers,
+  issueToken,
+  listTokens,
+  revokeToken,
+  authenticateToken,
+  SCOPES,
+  parseScopes,
+} from './users.js';
+import { consume, record, getUsage, toolCallAmounts } from './usage.js';
+import { AUDIT_SOURCES, recordAudit, auditToolset, listAudit } from './audit.js';
+import { observeHttp, registerGauge, renderMetrics } from './metrics.js';
+import { traceRequests, logError } from './trace.js';
 
 dotenv.config();
 
@@ -23,51 +70,6 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 4444;
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data.sqlite');
 
-// Provider/model configuration for OpenAI/OpenRouter
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const PROVIDER_ENV = process.env.LLM_PROVIDER;
-const PROVIDER = PROVIDER_ENV || (OPENROUTER_API_KEY ? 'openrouter' : (OPENAI_API_KEY ? 'openai' : ''));
-const DEFAULT_MODEL = process.env.OPENAI_MODEL || (PROVIDER === 'openrouter' ? 'openai/gpt-4o-mini' : 'gpt-4o-mini');
-
-function createOpenAIClient() {
-  if (PROVIDER === 'openrouter') {
-    if (!OPENROUTER_API_KEY) throw new Error('Missing OPENROUTER_API_KEY');
-    const referer = process.env.OPENROUTER_SITE || 'http://localhost';
-    const title = process.env.OPENROUTER_APP || 'MCP Test';
-    return new OpenAI({
-      apiKey: OPENROUTER_API_KEY,
-      baseURL: 'https://openrouter.ai/api/v1',
-      defaultHeaders: {
-        'HTTP-Referer': referer,
-        'X-Title': title,
-      },
-    });
-  }
-  if (!OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
-  return new OpenAI({ apiKey: OPENAI_API_KEY });
-}
-
-function getAiModel(modelName) {
-  if (PROVIDER === 'openrouter') {
-    if (!OPENROUTER_API_KEY) throw new Error('Missing OPENROUTER_API_KEY');
-    const referer = process.env.OPENROUTER_SITE || 'http://localhost';
-    const title = process.env.OPENROUTER_APP || 'MCP Test';
-    const openrouter = createAiOpenAI({
-      apiKey: OPENROUTER_API_KEY,
-      baseURL: 'https://openrouter.ai/api/v1',
-      headers: {
-        'HTTP-Referer': referer,
-        'X-Title': title,
-      },
-    });
-    return openrouter(modelName);
-  }
-  if (!OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
-  // Default OpenAI provider uses env OPENAI_API_KEY
-  return aiOpenAI(modelName);
-}
-
 function toOpenAITools(mcpTools) {
   return (mcpTools || []).map((t) => ({
     type: 'function',
@@ -106,82 +108,235 @@ function jsonSchemaToZod(schema) {
   return z.object({});
 }
 
-async function connectMcpClient(sseUrl) {
-  const url = new URL(sseUrl);
-  const authToken = process.env.MCP_AUTH_TOKEN;
-  // If MCP_AUTH_TOKEN is set, pass it via query for compatibility
-  if (authToken && !url.searchParams.has('token')) {
-    url.searchParams.set('token', authToken);
-  }
-  const transport = new SSEClientTransport(url);
-  const client = new MCPClient({ name: 'mcp-openai-backend', version: '1.0.0' });
-  await client.connect(transport);
-  return { client, transport };
+// Initialize DB
+initDb(DB_PATH);
+
+// Express app
+const app = express();
+app.use(traceRequests);
+app.use(cors());
+// imports may be large and may be sent as raw csv/ndjson
+app.use('/api/entries/import', express.json({ limit: '10mb' }), express.text({ type: ['text/*', 'application/x-ndjson'], limit: '10mb' }));
+app.use(express.json());
+
+// HTTP metrics by route pattern; paths no route matched (static files, 401s) are counted as "other"
+app.use((req, res, next) => {
+  const start = performance.now();
+  res.on('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    observeHttp({ method: req.method, route, status: res.statusCode, seconds: (performance.now() - start) / 1000 });
+  });
+  next();
+});
+
+// Caller identity from `Authorization: Bearer <token>` or `?token=`: API tokens resolve to their user and scopes,
+// MCP_AUTH_TOKEN to the built-in admin with every scope. Without a token, requests act as the admin unless
+// MCP_AUTH_TOKEN is set. Returns { user, scopes, token?, tokenId? }, or null when the request must be rejected.
+function identify(req) {
+  const authHeader = req.headers['authorization'] || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  const token = bearer || (typeof req.query.token === 'string' ? req.query.token : '');
+  const adminToken = process.env.MCP_AUTH_TOKEN;
+  if (token) {
+    if (adminToken && token === adminToken) return { user: getUser(DEFAULT_USER_ID), scopes: SCOPES };
+    const auth = authenticateToken(token);
+    return auth ? { ...auth, token } : null;
+  }
+  return adminToken ? null : { user: getUser(DEFAULT_USER_ID), scopes: SCOPES };
+}
+
+// Rate limits and quotas apply per API token, or per client IP for the admin token and anonymous requests
+function usageSubject(identity, req) {
+  return identity.tokenId ? `token:${identity.tokenId}` : `ip:${req.ip}`;
 }
 
-async function listMcpTools(mcp) {
-  const res = await mcp.request({ method: 'tools/list', params: {} }, ListToolsResultSchema);
-  return res.tools || [];
+// Every /api route runs as the caller's user; data is scoped to req.user
+app.use('/api', (req, res, next) => {
+  const identity = identify(req);
+  if (!identity) return res.status(401).json({ error: 'Unauthorized' });
+  req.user = identity.user;
+  req.scopes = identity.scopes;
+  req.authToken = identity.token;
+  req.usageSubject = usageSubject(identity, req);
+  next();
+});
+
+// Admin routes need an admin user and a token with every scope, so a scoped token cannot mint broader ones
+function requireAdmin(req, res, next) {
+  if (!req.user.isAdmin) return res.status(403).json({ error: 'admin only' });
+  const missing = SCOPES.filter((s) => !req.scopes.includes(s));
+  if (missing.length) return res.status(403).json({ error: `token lacks the ${missing.join(', ')} scope` });
+  next();
+}
+
+// Entry routes need the same token scopes as the matching MCP tools
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.scopes.includes(scope)) return res.status(403).json({ error: `token lacks the ${scope} scope` });
+    next();
+  };
 }
 
-async function callMcpTool(mcp, name, args) {
-  const res = await mcp.request({ method: 'tools/call', params: { name, arguments: args || {} } }, CallToolResultSchema);
-  let text = '';
-  for (const c of res.content || []) {
-    if (c.type === 'text' && c.text) text += c.text + '\n';
+// Counts `amounts` (see usage.js; or a function of the request) for the caller, or answers 429 with Retry-After when a limit is reached
+function limit(amounts) {
+  return (req, res, next) => {
+    const limited = consume(req.usageSubject, typeof amounts === 'function' ? amounts(req) : amounts);
+    if (!limited) return next();
+    res.set('Retry-After', String(limited.retryAfter));
+    res.status(429).json(limited);
+  };
+}
+
+// Records a REST tool route in the audit log with the JSON it answers (statuses >= 400 are errors)
+function auditTool(tool, argsOf) {
+  return (req, res, next) => {
+    const start = performance.now();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      recordAudit({
+        source: 'rest',
+        tool,
+        userId: req.user.id,
+        subject: req.usageSubject,
+        args: argsOf(req),
+        result: body,
+        isError: res.statusCode >= 400,
+        durationMs: performance.now() - start,
+      });
+      return json(body);
+    };
+    next();
+  };
+}
+
+// REST endpoints for UI
+// Filters: range/from/to/timezone, q (text search), minValue/maxValue, sort (created_at/value/relevance), order
+app.get('/api/entries', requireScope('entries:read'), (req, res) => {
+  const { error, options } = parseListArgs(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(listEntries({ ...options, userId: req.user.id }));
+});
+
+// Streams every matching entry (same range params as /api/entries), oldest first
+app.get('/api/entries/export', requireScope('entries:read'), limit(toolCallAmounts('export', { request: true })), (req, res) => {
+  const { format = 'csv', from, to, range: rangeName, timezone } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const range = parseRange({ from, to, range: rangeName, timezone: timezone || undefined });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const start = performance.now();
+  let rows = 0;
+  const batches = entryBatches({ from: range.from, to: range.to, userId: req.user.id });
+  const counted = (function* count() {
+    for (const batch of batches) {
+      rows += batch.length;
+      yield batch;
+    }
+  })();
+  res.attachment(`entries.${format}`);
+  res.type(CONTENT_TYPES[format]);
+  const stream = Readable.from(exportChunks(format, counted));
+  stream.on('end', () => {
+    const result = { format, rows };
+    recordAudit({ source: 'rest', tool: 'export', userId: req.user.id, subject: req.usageSubject, args: req.query, result, durationMs: performance.now() - start });
+  });
+  stream.on('error', (e) => {
+    logError('export error:', e);
+    res.destroy(e);
+  });
+  stream.pipe(res);
+});
+
+// Body: JSON { format, data, dryRun? } or { rows: [...] }, or raw csv/ndjson text with ?format= and ?dryRun=true.
+// Responds 400 when the input is unreadable or, outside a dry run, a row is invalid (then nothing is imported).
+app.post(
+  '/api/entries/import',
+  requireScope('entries:write'),
+  // the rows an import stores count against the stores quota, which is checked before anything is inserted
+  limit((req) => toolCallAmounts('import', { request: true, args: { format: importFormat(req), data: importData(req), dryRun: importDryRun(req) } })),
+  auditTool('import', (req) => ({ format: importFormat(req), dryRun: importDryRun(req) })),
+  (req, res) => {
+    const summary = importEntries(importFormat(req), importData(req), { dryRun: importDryRun(req), actor: 'import', userId: req.user.id });
+    res.status(summary.error || (summary.errorCount && !summary.dryRun) ? 400 : 200).json(summary);
   }
-  if (!text) text = JSON.stringify(res);
-  return { isError: !!res.isError, text: text.trim() };
+);
+
+function importFormat(req) {
+  if (typeof req.body === 'string') {
+    return req.query.format || (req.is('text/csv') ? 'csv' : req.is('application/x-ndjson') ? 'ndjson' : undefined);
+  }
+  return Array.isArray(req.body?.rows) ? 'json' : req.body?.format;
 }
 
-// Initialize DB
-const db = new Database(DB_PATH);
-db.pragma('journal_mode = WAL');
-db.exec(`CREATE TABLE IF NOT EXISTS entries (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  value INTEGER NOT NULL,
-  description TEXT NOT NULL,
-  created_at TEXT NOT NULL
-)`);
-
-// Core logic shared by REST and MCP tools
-function insertEntry({ value, description }) {
-  const createdAt = new Date().toISOString();
-  const stmt = db.prepare('INSERT INTO entries(value, description, created_at) VALUES(?, ?, ?)');
-  const info = stmt.run(value, description, createdAt);
-  return { id: info.lastInsertRowid, value, description, created_at: createdAt };
+function importData(req) {
+  return typeof req.body === 'string' ? req.body : req.body?.rows ?? req.body?.data;
 }
 
-function sumEntries({ from, to }) {
-  const stmt = db.prepare('SELECT COALESCE(SUM(value), 0) as total FROM entries WHERE created_at >= ? AND created_at <= ?');
-  const row = stmt.get(from, to);
-  return row.total || 0;
+function importDryRun(req) {
+  return req.query.dryRun === 'true' || req.body?.dryRun === true;
 }
 
-function listEntries({ page = 1, pageSize = 10 }) {
-  const size = Math.max(1, Math.min(100, Number(pageSize)));
-  const p = Math.max(1, Number(page));
-  const totalRow = db.prepare('SELECT COUNT(1) as c FROM entries').get();
-  const total = totalRow.c;
-  const pages = Math.max(1, Math.ceil(total / size));
-  const offset = (p - 1) * size;
-  const rows = db.prepare('SELECT * FROM entries ORDER BY created_at DESC LIMIT ? OFFSET ?').all(size, offset);
-  return { items: rows, page: p, pageSize: size, total, pages };
+function parseEntryId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'id must be a positive integer' });
+    return null;
+  }
+  return id;
 }
 
-// Express app
-const app = express();
-app.use(cors());
-app.use(express.json());
+app.patch('/api/entries/:id', requireScope('entries:write'), (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  const { value, description } = req.body || {};
+  if (value !== undefined && (typeof value !== 'number' || !Number.isInteger(value))) {
+    return res.status(400).json({ error: 'value must be an integer' });
+  }
+  if (description !== undefined && (typeof description !== 'string' || !description.trim())) {
+    return res.status(400).json({ error: 'description must be a non-empty string' });
+  }
+  if (value === undefined && description === undefined) {
+    return res.status(400).json({ error: 'provide value and/or description' });
+  }
+  const entry = updateEntry(id, { value, description }, { actor: 'rest', userId: req.user.id });
+  if (!entry) return res.status(404).json({ error: 'entry not found' });
+  res.json(entry);
+});
 
-// REST endpoints for UI
-app.get('/api/entries', (req, res) => {
-  const { page, pageSize } = req.query;
-  const result = listEntries({ page: Number(page) || 1, pageSize: Number(pageSize) || 10 });
-  res.json(result);
+app.delete('/api/entries/:id', requireScope('entries:write'), (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  const entry = deleteEntry(id, { actor: 'rest', userId: req.user.id });
+  if (!entry) return res.status(404).json({ error: 'entry not found' });
+  res.json(entry);
 });
 
-app.post('/api/tools/store', (req, res) => {
+app.post('/api/entries/:id/restore', requireScope('entries:write'), (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  const entry = restoreEntry(id, { actor: 'rest', userId: req.user.id });
+  if (!entry) return res.status(404).json({ error: 'deleted entry not found' });
+  res.json(entry);
+});
+
+app.get('/api/entries/:id/history', requireScope('entries:read'), (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  if (!getEntry(id, { includeDeleted: true, userId: req.user.id })) return res.status(404).json({ error: 'entry not found' });
+  res.json({ items: getEntryHistory(id) });
+});
+
+// Idempotency key of a store call: the `idempotencyKey` body field, else the Idempotency-Key header
+function idempotencyKeyOf(req) {
+  return req.body?.idempotencyKey ?? req.get('Idempotency-Key') ?? undefined;
+}
+
+app.post('/api/tools/store', requireScope('entries:write'), limit(toolCallAmounts('store', { request: true })), auditTool('store', (req) => req.body), (req, res) => {
   const { value, description } = req.body || {};
   if (typeof value !== 'number' || !Number.isInteger(value)) {
     return res.status(400).json({ error: 'value must be an integer' });
@@ -189,305 +344,624 @@ app.post('/api/tools/store', (req, res) => {
   if (typeof description !== 'string' || !description.trim()) {
     return res.status(400).json({ error: 'description is required' });
   }
-  const entry = insertEntry({ value, description });
-  res.json(entry);
+  const idempotencyKey = idempotencyKeyOf(req);
+  const keyError = validateIdempotencyKey(idempotencyKey);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+  const result = storeEntries([{ value, description }], { actor: 'rest', userId: req.user.id, idempotencyKey, tool: 'store' });
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  if (result.replayed) res.set('Idempotent-Replayed', 'true');
+  res.json(result.entries[0]);
 });
 
-app.get('/api/tools/sum', (req, res) => {
-  const { from, to } = req.query;
-  if (!from || !to) {
-    return res.status(400).json({ error: 'from and to query params are required (ISO datetime)' });
+// Body { items: [{ value, description }], idempotencyKey? }; all items are stored in one transaction or none
+app.post(
+  '/api/tools/store-batch',
+  requireScope('entries:write'),
+  limit((req) => toolCallAmounts('store_many', { request: true, args: req.body })),
+  auditTool('store_many', (req) => req.body),
+  (req, res) => {
+    const { items } = req.body || {};
+    const idempotencyKey = idempotencyKeyOf(req);
+    const error = validateStoreItems(items) || validateIdempotencyKey(idempotencyKey);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const entries = items.map(({ value, description }) => ({ value, description }));
+    const result = storeEntries(entries, { actor: 'rest', userId: req.user.id, idempotencyKey });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (result.replayed) res.set('Idempotent-Replayed', 'true');
+    res.json(storeManyResult(result));
+  }
+);
+
+app.get('/api/tools/sum', requireScope('entries:read'), limit(toolCallAmounts('sum', { request: true })), auditTool('sum', (req) => req.query), (req, res) => {
+  const { from, to, range: rangeName, timezone } = req.query;
+  if (!rangeName && (!from || !to)) {
+    return res.status(400).json({ error: 'range, or from and to query params, are required (ISO datetime)' });
+  }
+  const tz = timezone || 'UTC';
+  const range = parseRange({ from, to, range: rangeName, timezone: tz }, { required: true });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
   }
-  const total = sumEntries({ from: String(from), to: String(to) });
-  res.json({ total });
+  const total = sumEntries({ ...range, userId: req.user.id });
+  res.json(sumResult(total, range, { range: rangeName, timezone: tz }));
 });
 
-// Chat endpoint using OpenAI tool-calling against MCP (baseline, explicit loop)
-app.post('/api/chat', async (req, res) => {
-  try {
-    const body = req.body || {};
-    let { message, messages } = body;
+app.get('/api/stats', requireScope('entries:read'), (req, res) => {
+  const { error, options } = parseStatsArgs(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(statsEntries({ ...options, userId: req.user.id }));
+});
+
+// Conversations: persisted chat history
+function parseConversationId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'id must be a positive integer' });
+    return null;
+  }
+  return id;
+}
+
+app.post('/api/conversations', (req, res) => {
+  const { title = '' } = req.body || {};
+  if (typeof title !== 'string') {
+    return res.status(400).json({ error: 'title must be a string' });
+  }
+  res.status(201).json(createConversation({ title: title.trim(), userId: req.user.id }));
+});
+
+app.get('/api/conversations', (req, res) => {
+  const { page, pageSize } = req.query;
+  res.json(listConversations({ page: Number(page) || 1, pageSize: Number(pageSize) || 50, userId: req.user.id }));
+});
+
+app.get('/api/conversations/:id', (req, res) => {
+  const id = parseConversationId(req, res);
+  if (id === null) return;
+  const conversation = getConversation(id, { userId: req.user.id });
+  if (!conversation) return res.status(404).json({ error: 'conversation not found' });
+  res.json({ ...conversation, messages: getMessages(id) });
+});
+
+app.patch('/api/conversations/:id', (req, res) => {
+  const id = parseConversationId(req, res);
+  if (id === null) return;
+  const { title } = req.body || {};
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ error: 'title is required' });
+  }
+  if (!getConversation(id, { userId: req.user.id })) return res.status(404).json({ error: 'conversation not found' });
+  const conversation = renameConversation(id, title.trim());
+  if (!conversation) return res.status(404).json({ error: 'conversation not found' });
+  res.json(conversation);
+});
+
+app.delete('/api/conversations/:id', (req, res) => {
+  const id = parseConversationId(req, res);
+  if (id === null) return;
+  if (!getConversation(id, { userId: req.user.id }) || !deleteConversation(id)) {
+    return res.status(404).json({ error: 'conversation not found' });
+  }
+  res.status(204).end();
+});
+
+// Accounts: the caller, plus admin routes for users and their API tokens
+app.get('/api/me', (req, res) => {
+  res.json({ ...req.user, scopes: req.scopes });
+});
+
+// The caller's consumption and limits in the current windows
+app.get('/api/usage', (req, res) => {
+  res.json(getUsage(req.usageSubject));
+});
+
+// Audit log of tool calls; admins see every user's calls (optionally one `userId`), others only their own
+app.get('/api/audit', requireScope('entries:read'), (req, res) => {
+  const { page, pageSize, source, tool, isError, sessionId, conversationId, userId, from, to, range: rangeName, timezone } = req.query;
+  if (source && !AUDIT_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${AUDIT_SOURCES.join(', ')}` });
+  }
+  if (isError !== undefined && isError !== 'true' && isError !== 'false') {
+    return res.status(400).json({ error: 'isError must be true or false' });
+  }
+  const range = parseRange({ from, to, range: rangeName, timezone: timezone || undefined });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  res.json(listAudit({
+    page: Number(page) || 1,
+    pageSize: Number(pageSize) || 50,
+    userId: req.user.isAdmin ? (userId ? Number(userId) : undefined) : req.user.id,
+    source: source || undefined,
+    tool: tool || undefined,
+    isError: isError === undefined ? undefined : isError === 'true',
+    sessionId: sessionId || undefined,
+    conversationId: conversationId ? Number(conversationId) : undefined,
+    from: range.from,
+    to: range.to,
+  }));
+});
+
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  res.json({ items: listUsers() });
+});
 
-    if (!messages && typeof message === 'string' && message.trim()) {
-      messages = [{ role: 'user', content: message.trim() }];
+app.post('/api/admin/users', requireAdmin, (req, res) => {
+  const { name, isAdmin = false } = req.body || {};
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(name)) {
+    return res.status(400).json({ error: 'name must be 1-64 letters, digits, _ . or -' });
+  }
+  if (typeof isAdmin !== 'boolean') {
+    return res.status(400).json({ error: 'isAdmin must be a boolean' });
+  }
+  if (getUserByName(name)) return res.status(409).json({ error: 'user already exists' });
+  res.status(201).json(createUser({ name, isAdmin }));
+});
+
+function parseUserId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'id must be a positive integer' });
+    return null;
+  }
+  if (!getUser(id)) {
+    res.status(404).json({ error: 'user not found' });
+    return null;
+  }
+  return id;
+}
+
+app.get('/api/admin/users/:id/tokens', requireAdmin, (req, res) => {
+  const id = parseUserId(req, res);
+  if (id === null) return;
+  res.json({ items: listTokens(id) });
+});
+
+// The plaintext token is only returned here
+app.post('/api/admin/users/:id/tokens', requireAdmin, (req, res) => {
+  const id = parseUserId(req, res);
+  if (id === null) return;
+  const { name = '', scopes: requested = SCOPES } = req.body || {};
+  if (typeof name !== 'string') {
+    return res.status(400).json({ error: 'name must be a string' });
+  }
+  const { scopes, error } = parseScopes(requested);
+  if (error) return res.status(400).json({ error });
+  const notHeld = scopes.filter((s) => !req.scopes.includes(s));
+  if (notHeld.length) return res.status(403).json({ error: `cannot issue scopes the caller lacks: ${notHeld.join(', ')}` });
+  res.status(201).json(issueToken(id, { name: name.trim(), scopes }));
+});
+
+app.delete('/api/admin/tokens/:id', requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ error: 'id must be a positive integer' });
+  }
+  const token = revokeToken(id);
+  if (!token) return res.status(404).json({ error: 'active token not found' });
+  // MCP sessions and pooled chat connections opened with the token must not outlive it
+  closeSessions(`token:${id}`);
+  getMcpPool().closeSubject(`token:${id}`);
+  res.json(token);
+});
+
+// Configured LLM providers, their model allowlists and the accepted chat option ranges
+app.get('/api/models', (req, res) => {
+  res.json(listModels());
+});
+
+// Connection state of the pooled MCP clients used by the chat endpoints
+app.get('/api/mcp/servers', (req, res) => {
+  res.json({ servers: getMcpPool().status(mcpCaller(req)) });
+});
+
+// The pooled MCP connections act for the caller, so chat tool calls only touch the caller's entries, only the
+// tools the caller's scopes allow are offered to the model, and calls count against the caller's quotas
+function mcpCaller(req) {
+  return { userId: req.user.id, scopes: req.scopes, token: req.authToken, subject: req.usageSubject };
+}
+
+// Chat tool calls as they are recorded in the audit log
+function chatAudit(req, conversationId) {
+  return { source: 'chat', userId: req.user.id, subject: req.usageSubject, conversationId };
+}
+
+// Chat requests count against the rate limit and are refused once the LLM token quota is used up; the tokens
+// of a run are counted as its steps finish, so the last run of a day may go past the quota
+const limitChat = limit({ requests: 1, llmTokens: 0 });
+
+// Chat input: `message` or `messages`, optionally with `conversationId` to continue a stored conversation
+// (the stored history is prepended and the new turn is saved once the run completes)
+function resolveChatInput(body, user) {
+  const { message, messages, conversationId, approvals } = body;
+  let incoming = Array.isArray(messages) ? messages : [];
+  if (!incoming.length && typeof message === 'string' && message.trim()) {
+    incoming = [{ role: 'user', content: message.trim() }];
+  }
+  if (!incoming.length && approvals === undefined) {
+    return { status: 400, error: 'Provide `message` or non-empty `messages` array.' };
+  }
+  if (conversationId === undefined || conversationId === null) {
+    if (approvals !== undefined) return { status: 400, error: '`approvals` require a `conversationId`' };
+    return { conversationId: null, history: [], incoming, decisions: [] };
+  }
+  const id = Number(conversationId);
+  if (!Number.isInteger(id) || !getConversation(id, { userId: user.id })) {
+    return { status: 404, error: 'conversation not found' };
+  }
+  const history = getMessages(id);
+  const pending = findPendingToolCalls(history);
+  if (approvals === undefined) {
+    if (pending.length) {
+      return { status: 409, error: 'conversation has pending tool calls; resolve them with `approvals` first' };
     }
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: 'Provide `message` or non-empty `messages` array.' });
+    return { conversationId: id, history, incoming, decisions: [] };
+  }
+  if (incoming.length) return { status: 400, error: 'send either a new message or `approvals`, not both' };
+  const { decisions, error } = resolveApprovals(pending, approvals);
+  if (error) return { status: pending.length ? 400 : 409, error };
+  return { conversationId: id, history, incoming, decisions };
+}
+
+function persistChat(conversationId, messages) {
+  if (!conversationId) return;
+  try {
+    appendMessages(conversationId, messages);
+  } catch (e) {
+    logError('Failed to persist chat messages:', e);
+  }
+}
+
+// Results of approved calls are stored as soon as the calls have run: the calls are no longer pending even if the
+// rest of the run fails, so approving them again cannot repeat a write
+function saveToolResult(conversationId) {
+  return (message) => persistChat(conversationId, [message]);
+}
+
+// A paused run must be stored so it can be resumed; runs without a conversation get a new one, and the tool calls
+// the run has made so far are audited under it
+function pausedConversationId(conversationId, userId, mcp) {
+  if (conversationId) return conversationId;
+  const id = createConversation({ userId }).id;
+  mcp.assignConversation(id);
+  return id;
+}
+
+// Chat endpoint using OpenAI tool-calling against MCP (baseline, explicit loop)
+app.post('/api/chat', limitChat, async (req, res) => {
+  try {
+    const input = resolveChatInput(req.body || {}, req.user);
+    if (input.error) {
+      return res.status(input.status).json({ error: input.error });
     }
+    const { history, incoming, decisions } = input;
+    let { conversationId } = input;
 
-    const model = DEFAULT_MODEL;
-    const openai = createOpenAIClient();
+    const options = resolveChatOptions(req.body || {});
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const { provider, model, temperature, maxSteps } = options;
+    const chatClient = createChatClient(provider);
+    const llm = {
+      async complete(params) {
+        const msg = await chatClient.complete(params);
+        record(req.usageSubject, 'llmTokens', msg?.usage?.totalTokens);
+        return msg;
+      },
+    };
 
-    // Determine MCP SSE URL: default to local server unless overridden
-    const sseUrl = process.env.MCP_SSE_URL || `http://127.0.0.1:${PORT}/sse`;
-    const { client: mcp } = await connectMcpClient(sseUrl);
+    // Pooled MCP connections (default: this server, in-process); unavailable servers are reported in mcpErrors
+    const mcp = auditToolset(await getMcpPool().toolset(mcpCaller(req)), chatAudit(req, conversationId));
+    const mcpErrors = mcp.errors;
 
-    try {
-      const mcpTools = await listMcpTools(mcp);
-      if (!mcpTools.length) {
-        return res.status(500).json({ error: 'No MCP tools available' });
-      }
-      const tools = toOpenAITools(mcpTools);
-
-      let guard = 0;
-      let completion = await openai.chat.completions.create({
-        model,
-        messages,
-        tools,
-        tool_choice: 'auto',
-      });
+    if (!mcp.tools.length) {
+      return res.status(500).json({ error: 'No MCP tools available', mcpErrors });
+    }
+    const tools = toOpenAITools(mcp.tools.filter((t) => toolPolicy(t.name) !== 'deny'));
 
-      const toolLogs = [];
+    const toolLogs = [];
+    // Resuming a paused run: the user's decisions become the results of the pending calls
+    const resumed = await applyApprovals(mcp, decisions, toolLogs, saveToolResult(conversationId));
+    const messages = [...toOpenAIMessages([...history, ...resumed]), ...incoming];
+    const firstNew = messages.length - incoming.length;
+    const persist = (extra) => persistChat(conversationId, fromOpenAIMessages([...messages.slice(firstNew), ...extra]));
 
-      while (guard < 5) {
-        guard++;
-        const msg = completion.choices?.[0]?.message;
-        if (!msg) break;
+    // maxSteps bounds the number of model calls, as in the AI SDK routes
+    let steps = 1;
+    let msg = await llm.complete({ model, messages, tools, temperature });
 
-        const toolCalls = msg.tool_calls || [];
-        if (!toolCalls.length) {
-          const finalText = msg.content || '';
-          return res.json({ role: 'assistant', content: finalText, model, toolLogs });
-        }
+    while (msg) {
+      const toolCalls = msg.tool_calls || [];
+      if (!toolCalls.length) {
+        const finalText = msg.content || '';
+        persist([{ role: 'assistant', content: finalText }]);
+        return res.json({ role: 'assistant', content: finalText, provider: provider.name, model, toolLogs, mcpErrors, conversationId });
+      }
+      if (steps >= maxSteps) break;
 
-        const toolMessages = [];
-        for (const tc of toolCalls) {
-          const name = tc.function?.name;
-          const args = tc.function?.arguments ? JSON.parse(tc.function.arguments) : {};
-          const { text } = await callMcpTool(mcp, name, args);
-          toolLogs.push({ name, args, output: text });
-          toolMessages.push({ role: 'tool', content: text, tool_call_id: tc.id });
+      const toolMessages = [];
+      const pendingToolCalls = [];
+      for (const tc of toolCalls) {
+        const name = tc.function?.name;
+        const args = tc.function?.arguments ? JSON.parse(tc.function.arguments) : {};
+        const policy = toolPolicy(name);
+        if (policy === 'confirm') {
+          pendingToolCalls.push({ toolCallId: tc.id, toolName: name, args });
+          continue;
         }
+        const { text, isError } = policy === 'deny'
+          ? { text: `Tool ${name} is denied by policy`, isError: true }
+          : await mcp.callTool(name, args);
+        toolLogs.push({ name, args, output: text, isError });
+        toolMessages.push({ role: 'tool', content: text, tool_call_id: tc.id });
+      }
 
-        messages.push({ role: 'assistant', content: msg.content || '', tool_calls: msg.tool_calls });
-        messages.push(...toolMessages);
+      messages.push({ role: 'assistant', content: msg.content || '', tool_calls: msg.tool_calls });
+      messages.push(...toolMessages);
 
-        completion = await openai.chat.completions.create({
+      if (pendingToolCalls.length) {
+        conversationId = pausedConversationId(conversationId, req.user.id, mcp);
+        persist([]);
+        return res.json({
+          role: 'assistant',
+          content: msg.content || '',
+          status: 'awaiting_approval',
+          pendingToolCalls,
+          provider: provider.name,
           model,
-          messages,
-          tools,
-          tool_choice: 'auto',
+          toolLogs,
+          mcpErrors,
+          conversationId,
         });
       }
 
-      return res.json({ role: 'assistant', content: '(stopped after max tool iterations)', model, toolLogs });
-    } finally {
-      await mcp.close();
+      steps++;
+      msg = await llm.complete({ model, messages, tools, temperature });
     }
+
+    const stopped = '(stopped after max tool iterations)';
+    persist([{ role: 'assistant', content: stopped }]);
+    return res.json({ role: 'assistant', content: stopped, provider: provider.name, model, toolLogs, mcpErrors, conversationId });
   } catch (e) {
-    console.error('Chat error:', e?.response?.data || e);
+    logError('Chat error:', e?.response?.data || e);
     return res.status(500).json({ error: 'chat_failed', detail: e?.response?.data || String(e) });
   }
 });
 
+// MCP tools as AI SDK tools. Failed MCP calls resolve to { isError: true, error } so the model sees the failure
+// and the stream can report it, instead of aborting the run. Denied tools are left out; confirm tools have no
+// `execute`, so the SDK stops the run at their calls and they are returned as pending.
+function buildAiTools(mcp, toolLogs) {
+  return Object.fromEntries(
+    mcp.tools.filter((t) => toolPolicy(t.name) !== 'deny').map((t) => {
+      const params = jsonSchemaToZod(t.inputSchema);
+      if (toolPolicy(t.name) === 'confirm') {
+        return [t.name, aiTool({ description: t.description || '', parameters: params })];
+      }
+      return [
+        t.name,
+        aiTool({
+          description: t.description || '',
+          parameters: params,
+          execute: async (args) => {
+            const { text, isError } = await mcp.callTool(t.name, args);
+            if (toolLogs) toolLogs.push({ name: t.name, args, output: text, isError });
+            return isError ? { isError: true, error: text } : text;
+          },
+        }),
+      ];
+    })
+  );
+}
+
+function writeSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Typed SSE protocol for streaming chat:
+//   step-start {step}, tool-call {step, toolCallId, toolName, args},
+//   tool-result {step, toolCallId, toolName, output, isError}, text-delta {step, text},
+//   usage {step, promptTokens, completionTokens, totalTokens}, finish {finishReason, usage, conversationId, provider, model},
+//   error {message}, and a final end {conversationId}. MCP servers that could not be reached are reported first
+//   as mcp-error {server, error}, followed by tool-result {step: 0, ...} for each call resolved by `approvals`.
+//   A run that stops at confirm-policy calls emits approval-required {conversationId, toolCalls} before finish.
+async function streamChatEvents(res, stream, { conversationId, userId, mcp, subject, incoming, resumed = [], provider, model, mcpErrors = [] }) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // eslint-disable-next-line no-unused-expressions
+  res.flushHeaders && res.flushHeaders();
+
+  for (const e of mcpErrors) writeSse(res, 'mcp-error', e);
+  for (const m of resumed) {
+    writeSse(res, 'tool-result', { step: 0, toolCallId: m.toolCallId, toolName: m.toolName, output: m.content, isError: m.isError });
+  }
+
+  let step = 0;
+  let stepOpen = false;
+  // tool calls without a result (confirm policy) when the run finishes are pending approval
+  const unanswered = new Map();
+  const openStep = () => {
+    if (stepOpen) return;
+    stepOpen = true;
+    step++;
+    writeSse(res, 'step-start', { step });
+  };
+
+  try {
+    for await (const part of stream.fullStream) {
+      switch (part.type) {
+        case 'text-delta':
+          openStep();
+          writeSse(res, 'text-delta', { step, text: part.textDelta });
+          break;
+        case 'tool-call':
+          openStep();
+          writeSse(res, 'tool-call', { step, toolCallId: part.toolCallId, toolName: part.toolName, args: part.args });
+          unanswered.set(part.toolCallId, { toolCallId: part.toolCallId, toolName: part.toolName, args: part.args });
+          break;
+        case 'tool-result': {
+          unanswered.delete(part.toolCallId);
+          const isError = !!(part.result && typeof part.result === 'object' && part.result.isError);
+          writeSse(res, 'tool-result', {
+            step,
+            toolCallId: part.toolCallId,
+            toolName: part.toolName,
+            output: isError ? part.result.error : part.result,
+            isError,
+          });
+          break;
+        }
+        case 'step-finish':
+          openStep();
+          writeSse(res, 'usage', { step, ...part.usage });
+          record(subject, 'llmTokens', part.usage?.totalTokens);
+          stepOpen = false;
+          break;
+        case 'finish': {
+          const { messages: responseMessages } = await stream.response;
+          const toolCalls = [...unanswered.values()];
+          if (toolCalls.length) conversationId = pausedConversationId(conversationId, userId, mcp);
+          persistChat(conversationId, fromCoreMessages([...incoming, ...responseMessages]));
+          if (toolCalls.length) writeSse(res, 'approval-required', { conversationId, toolCalls });
+          writeSse(res, 'finish', { finishReason: part.finishReason, usage: part.usage, conversationId, provider, model });
+          break;
+        }
+        case 'error':
+          writeSse(res, 'error', { message: String(part.error?.message || part.error) });
+          break;
+        default:
+          break;
+      }
+    }
+  } catch (err) {
+    logError('chat stream error:', err);
+    writeSse(res, 'error', { message: String(err?.message || err) });
+  }
+  writeSse(res, 'end', { conversationId });
+  res.end();
+}
+
 // Chat endpoint using Vercel AI SDK (non-stream by default, optional streaming)
-app.post('/api/chat-ai', async (req, res) => {
+app.post('/api/chat-ai', limitChat, async (req, res) => {
   const doStream = String(req.query.stream || '').toLowerCase() === '1' || req.headers['x-stream'] === '1';
   try {
-    const body = req.body || {};
-    let { message, messages } = body;
-    if (!messages && typeof message === 'string' && message.trim()) {
-      messages = [{ role: 'user', content: message.trim() }];
-    }
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: 'Provide `message` or non-empty `messages` array.' });
+    const input = resolveChatInput(req.body || {}, req.user);
+    if (input.error) {
+      return res.status(input.status).json({ error: input.error });
     }
+    const { history, decisions } = input;
+    let { conversationId } = input;
 
-    const modelName = DEFAULT_MODEL;
-    const model = getAiModel(modelName);
+    const options = resolveChatOptions(req.body || {});
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    const { provider, model: modelName, temperature, maxSteps } = options;
+    const model = getAiModel(provider, modelName);
 
-    const sseUrl = process.env.MCP_SSE_URL || `http://127.0.0.1:${PORT}/sse`;
-    const { client: mcp } = await connectMcpClient(sseUrl);
+    const mcp = auditToolset(await getMcpPool().toolset(mcpCaller(req)), chatAudit(req, conversationId));
+    const mcpErrors = mcp.errors;
 
-    try {
-      const mcpTools = await listMcpTools(mcp);
-      if (!mcpTools.length) {
-        return res.status(500).json({ error: 'No MCP tools available' });
-      }
+    if (!mcp.tools.length) {
+      return res.status(500).json({ error: 'No MCP tools available', mcpErrors });
+    }
 
-      const toolLogs = [];
-      const tools = Object.fromEntries(
-        mcpTools.map((t) => {
-          const params = jsonSchemaToZod(t.inputSchema);
-          return [
-            t.name,
-            aiTool({
-              description: t.description || '',
-              parameters: params,
-              execute: async (args) => {
-                const { text } = await callMcpTool(mcp, t.name, args);
-                toolLogs.push({ name: t.name, args, output: text });
-                return text;
-              },
-            }),
-          ];
-        })
-      );
-
-      if (doStream) {
-        // SSE streaming of assistant text
-        const stream = await streamText({ model, tools, messages, maxSteps: 5 });
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        // eslint-disable-next-line no-unused-expressions
-        res.flushHeaders && res.flushHeaders();
-        try {
-          for await (const chunk of stream.textStream) {
-            res.write(`data: ${JSON.stringify({ text: chunk })}\n\n`);
-          }
-          res.write('event: end\ndata: {}\n\n');
-          res.end();
-        } catch (err) {
-          console.error('chat-ai stream error:', err);
-          try { res.end(); } catch (_) { /* noop */ }
-        } finally {
-          await mcp.close();
-        }
-        return;
-      }
+    const toolLogs = [];
+    const tools = buildAiTools(mcp, toolLogs);
+    const resumed = await applyApprovals(mcp, decisions, toolLogs, saveToolResult(conversationId));
+    const { incoming } = input;
+    const messages = [...toCoreMessages([...history, ...resumed]), ...incoming];
 
-      const result = await generateText({ model, tools, messages, maxSteps: 5 });
-      return res.json({ role: 'assistant', content: result.text || '', model: modelName, toolLogs });
-    } finally {
-      if (mcp && mcp.close) await mcp.close();
+    if (doStream) {
+      const stream = await streamText({ model, tools, messages, maxSteps, temperature });
+      await streamChatEvents(res, stream, { conversationId, userId: req.user.id, mcp, subject: req.usageSubject, incoming, resumed, provider: provider.name, model: modelName, mcpErrors });
+      return;
     }
+
+    const result = await generateText({ model, tools, messages, maxSteps, temperature });
+    record(req.usageSubject, 'llmTokens', result.usage?.totalTokens);
+    const answered = new Set(result.toolResults.map((r) => r.toolCallId));
+    const pendingToolCalls = result.toolCalls
+      .filter((c) => !answered.has(c.toolCallId))
+      .map(({ toolCallId, toolName, args }) => ({ toolCallId, toolName, args }));
+    if (pendingToolCalls.length) conversationId = pausedConversationId(conversationId, req.user.id, mcp);
+    persistChat(conversationId, fromCoreMessages([...incoming, ...result.response.messages]));
+    return res.json({
+      role: 'assistant',
+      content: result.text || '',
+      ...(pendingToolCalls.length ? { status: 'awaiting_approval', pendingToolCalls } : {}),
+      provider: provider.name,
+      model: modelName,
+      toolLogs,
+      mcpErrors,
+      conversationId,
+    });
   } catch (e) {
-    console.error('Chat-AI error:', e);
+    logError('Chat-AI error:', e);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: 'chat_ai_failed', detail: String(e) });
   }
 });
 
 // Dedicated streaming endpoint using Vercel AI SDK
-app.post('/api/chat-ai-stream', async (req, res) => {
+app.post('/api/chat-ai-stream', limitChat, async (req, res) => {
   try {
-    const body = req.body || {};
-    let { message, messages } = body;
-    if (!messages && typeof message === 'string' && message.trim()) {
-      messages = [{ role: 'user', content: message.trim() }];
-    }
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: 'Provide `message` or non-empty `messages` array.' });
+    const input = resolveChatInput(req.body || {}, req.user);
+    if (input.error) {
+      return res.status(input.status).json({ error: input.error });
     }
+    const { conversationId, history, decisions } = input;
 
-    const modelName = DEFAULT_MODEL;
-    const model = getAiModel(modelName);
-
-    const sseUrl = process.env.MCP_SSE_URL || `http://127.0.0.1:${PORT}/sse`;
-    const { client: mcp } = await connectMcpClient(sseUrl);
-
-    try {
-      const mcpTools = await listMcpTools(mcp);
-      const tools = Object.fromEntries(
-        mcpTools.map((t) => {
-          const params = jsonSchemaToZod(t.inputSchema);
-          return [
-            t.name,
-            aiTool({
-              description: t.description || '',
-              parameters: params,
-              execute: async (args) => {
-                const { text } = await callMcpTool(mcp, t.name, args);
-                return text;
-              },
-            }),
-          ];
-        })
-      );
-
-      const stream = await streamText({ model, tools, messages, maxSteps: 5 });
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      // eslint-disable-next-line no-unused-expressions
-      res.flushHeaders && res.flushHeaders();
-      try {
-        for await (const chunk of stream.textStream) {
-          res.write(`data: ${JSON.stringify({ text: chunk })}\n\n`);
-        }
-        res.write('event: end\ndata: {}\n\n');
-        res.end();
-      } catch (err) {
-        console.error('chat-ai-stream error:', err);
-        try { res.end(); } catch (_) { /* noop */ }
-      } finally {
-        await mcp.close();
-      }
-    } catch (e) {
-      console.error('chat-ai-stream inner error:', e);
-      try { await mcp.close(); } catch (_) { /* noop */ }
-      return res.status(500).json({ error: 'chat_ai_stream_failed', detail: String(e) });
+    const options = resolveChatOptions(req.body || {});
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
     }
-  } catch (e) {
-    console.error('chat-ai-stream error:', e);
-    return res.status(500).json({ error: 'chat_ai_stream_failed', detail: String(e) });
-  }
-});
+    const { provider, model: modelName, temperature, maxSteps } = options;
+    const model = getAiModel(provider, modelName);
 
-// MCP server via SSE
-const server = new Server({ name: 'mcp-sqlite-server', version: '1.0.0' }, { capabilities: { tools: {} } });
+    const mcp = auditToolset(await getMcpPool().toolset(mcpCaller(req)), chatAudit(req, conversationId));
 
-// Define tools via request handlers
-const toolsList = [
-  {
-    name: 'store',
-    description: 'Store an integer value with description and timestamp',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        value: { type: 'integer' },
-        description: { type: 'string' }
-      },
-      required: ['value', 'description']
-    }
-  },
-  {
-    name: 'sum',
-    description: 'Sum values between ISO datetime range [from, to]',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        from: { type: 'string' },
-        to: { type: 'string' }
-      },
-      required: ['from', 'to']
-    }
+    const tools = buildAiTools(mcp);
+    const resumed = await applyApprovals(mcp, decisions, undefined, saveToolResult(conversationId));
+    const { incoming } = input;
+    const messages = [...toCoreMessages([...history, ...resumed]), ...incoming];
+    const stream = await streamText({ model, tools, messages, maxSteps, temperature });
+    await streamChatEvents(res, stream, { conversationId, userId: req.user.id, mcp, subject: req.usageSubject, incoming, resumed, provider: provider.name, model: modelName, mcpErrors: mcp.errors });
+  } catch (e) {
+    logError('chat-ai-stream error:', e);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'chat_ai_stream_failed', detail: String(e) });
   }
-];
-
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools: toolsList };
 });
 
-server.setRequestHandler(CallToolRequestSchema, async (req) => {
-  const { name, arguments: args } = req.params || {};
-  if (name === 'store') {
-    const { value, description } = args || {};
-    if (typeof value !== 'number' || !Number.isInteger(value)) {
-      return { content: [{ type: 'text', text: 'value must be integer' }], isError: true };
-    }
-    if (typeof description !== 'string' || !description.trim()) {
-      return { content: [{ type: 'text', text: 'description is required' }], isError: true };
-    }
-    const entry = insertEntry({ value, description });
-    return { content: [{ type: 'text', text: JSON.stringify(entry) }] };
-  }
-  if (name === 'sum') {
-    const { from, to } = args || {};
-    if (!from || !to) {
-      return { content: [{ type: 'text', text: 'from and to are required (ISO datetime)' }], isError: true };
-    }
-    const total = sumEntries({ from, to });
-    return { content: [{ type: 'text', text: String(total) }] };
-  }
-  return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
-});
+// MCP sessions belong to the token that opened them (or, without an API token, to the user), so another token of
+// the same user, which may have fewer scopes, cannot use them
+function sessionOwner(identity) {
+  return identity.tokenId ? `token:${identity.tokenId}` : `user:${identity.user.id}`;
+}
 
+// HTTP+SSE transport (legacy): GET /sse + POST /messages
 const transports = new Map();
 const POST_ENDPOINT = '/messages';
 
+// Every message is checked against the token, so a revoked token or another token cannot use the session
 app.post(POST_ENDPOINT, async (req, res) => {
-  console.log('POST /messages body:', JSON.stringify(req.body));
+  const identity = identify(req);
+  if (!identity) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
   const sessionId = req.query.sessionId;
   if (typeof sessionId !== 'string') {
     return res.status(400).json({ error: 'Bad session id' });
@@ -496,35 +970,151 @@ app.post(POST_ENDPOINT, async (req, res) => {
   if (!transport) {
     return res.status(400).json({ error: 'No transport for sessionId' });
   }
+  if (transport.owner !== sessionOwner(identity)) {
+    return res.status(403).json({ error: 'sessionId belongs to another token' });
+  }
   await transport.handlePostMessage(req, res, req.body);
 });
 
+// MCP sessions are bound to the token that opened them (same identity rules as /api). A `?token=` given to /sse
+// is carried into the message endpoint, for clients that cannot set headers.
 app.get('/sse', async (req, res) => {
-  // Optional auth: require token via header or query when MCP_AUTH_TOKEN is set
-  const requiredToken = process.env.MCP_AUTH_TOKEN;
-  if (requiredToken) {
-    const authHeader = req.headers['authorization'] || '';
-    const queryToken = req.query.token;
-    const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
-    if (bearer !== requiredToken && queryToken !== requiredToken) {
-      return res.status(401).send('Unauthorized');
-    }
+  const identity = identify(req);
+  if (!identity) {
+    return res.status(401).send('Unauthorized');
   }
 
-  const transport = new SSEServerTransport(POST_ENDPOINT, res);
+  const queryToken = typeof req.query.token === 'string' ? req.query.token : '';
+  const endpoint = queryToken ? `${POST_ENDPOINT}?token=${encodeURIComponent(queryToken)}` : POST_ENDPOINT;
+  const transport = new SSEServerTransport(endpoint, res);
+  transport.owner = sessionOwner(identity);
   transports.set(transport.sessionId, transport);
   res.on('close', () => {
     transports.delete(transport.sessionId);
   });
-  await server.connect(transport);
+  await createMcpServer({ userId: identity.user.id, scopes: identity.scopes, subject: usageSubject(identity, req), audit: true }).connect(transport);
+});
+
+// In-memory event store so Streamable HTTP clients can resume with Last-Event-ID
+class InMemoryEventStore {
+  constructor(maxEvents = 1000) {
+    this.maxEvents = maxEvents;
+    this.events = new Map();
+  }
+
+  async storeEvent(streamId, message) {
+    const eventId = `${streamId}_${Date.now()}_${randomUUID().slice(0, 8)}`;
+    this.events.set(eventId, { streamId, message });
+    if (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+    return eventId;
+  }
+
+  async replayEventsAfter(lastEventId, { send }) {
+    const last = this.events.get(lastEventId);
+    if (!last) return '';
+    let found = false;
+    for (const [eventId, { streamId, message }] of this.events) {
+      if (eventId === lastEventId) {
+        found = true;
+        continue;
+      }
+      if (found && streamId === last.streamId) {
+        await send(eventId, message);
+      }
+    }
+    return last.streamId;
+  }
+}
+
+// Streamable HTTP transport: single /mcp endpoint (POST/GET/DELETE) with Mcp-Session-Id
+const streamableTransports = new Map();
+const MCP_ENDPOINT = '/mcp';
+
+// Closes the SSE and Streamable HTTP sessions of an owner (see sessionOwner), e.g. when its token is revoked
+function closeSessions(owner) {
+  for (const transport of [...transports.values(), ...streamableTransports.values()]) {
+    if (transport.owner !== owner) continue;
+    transport.close().catch((e) => logError('Failed to close MCP session:', e));
+  }
+}
+
+registerGauge('mcp_sessions', 'Open MCP sessions by transport', ['transport'], () => [
+  { labels: { transport: 'sse' }, value: transports.size },
+  { labels: { transport: 'streamable-http' }, value: streamableTransports.size },
+]);
+
+// Prometheus scrape endpoint; needs an admin token when MCP_AUTH_TOKEN is set
+app.get('/metrics', (req, res) => {
+  const identity = identify(req);
+  if (!identity) return res.status(401).send('Unauthorized');
+  if (!identity.user.isAdmin) return res.status(403).send('admin only');
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
+function mcpError(res, status, message) {
+  return res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+app.post(MCP_ENDPOINT, async (req, res) => {
+  const identity = identify(req);
+  if (!identity) {
+    return mcpError(res, 401, 'Unauthorized');
+  }
+  const sessionId = req.headers['mcp-session-id'];
+  let transport = typeof sessionId === 'string' ? streamableTransports.get(sessionId) : undefined;
+  if (transport && transport.owner !== sessionOwner(identity)) {
+    return mcpError(res, 403, 'Mcp-Session-Id belongs to another token');
+  }
+
+  if (!transport) {
+    if (sessionId || !isInitializeRequest(req.body)) {
+      return mcpError(res, 400, sessionId ? 'No transport for Mcp-Session-Id' : 'Bad Request: no valid session id');
+    }
+    transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: new InMemoryEventStore(),
+      onsessioninitialized: (id) => {
+        streamableTransports.set(id, transport);
+      },
+    });
+    transport.owner = sessionOwner(identity);
+    transport.onclose = () => {
+      if (transport.sessionId) streamableTransports.delete(transport.sessionId);
+    };
+    await createMcpServer({ userId: identity.user.id, scopes: identity.scopes, subject: usageSubject(identity, req), audit: true }).connect(transport);
+  }
+
+  await transport.handleRequest(req, res, req.body);
+});
+
+// GET opens the server-to-client stream (resumable); DELETE terminates the session
+async function handleMcpSessionRequest(req, res) {
+  const identity = identify(req);
+  if (!identity) {
+    return mcpError(res, 401, 'Unauthorized');
+  }
+  const sessionId = req.headers['mcp-session-id'];
+  const transport = typeof sessionId === 'string' ? streamableTransports.get(sessionId) : undefined;
+  if (!transport) {
+    return mcpError(res, 400, 'Invalid or missing Mcp-Session-Id');
+  }
+  if (transport.owner !== sessionOwner(identity)) {
+    return mcpError(res, 403, 'Mcp-Session-Id belongs to another token');
+  }
+  await transport.handleRequest(req, res);
+}
+
+app.get(MCP_ENDPOINT, handleMcpSessionRequest);
+app.delete(MCP_ENDPOINT, handleMcpSessionRequest);
+
 // Static file serving for built web app
 const publicDir = path.join(__dirname, '..', 'web', 'dist');
 app.use(express.static(publicDir));
 app.get('*', (req, res) => {
   // Only fall back to index.html if file not found and not an API/MCP endpoint
-  if (req.path.startsWith('/api') || req.path === '/sse' || req.path === '/messages') {
+  if (req.path.startsWith('/api') || req.path === '/sse' || req.path === '/messages' || req.path === MCP_ENDPOINT) {
     return res.status(404).send('Not Found');
   }
   res.sendFile(path.join(publicDir, 'index.html'));
@@ -533,4 +1123,5 @@ app.get('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
   console.log(`MCP SSE endpoint: GET http://localhost:${PORT}/sse, POST http://localhost:${PORT}${POST_ENDPOINT}`);
+  console.log(`MCP Streamable HTTP endpoint: http://localhost:${PORT}${MCP_ENDPOINT}`);
 }); 
\ No newline at end of file
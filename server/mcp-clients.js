@@ -0,0 +1,376 @@
+import fs from 'fs';
+import { Client as MCPClient } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  ListToolsResultSchema,
+  CallToolResultSchema,
+  ToolListChangedNotificationSchema,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from './mcp.js';
+import { DEFAULT_USER_ID } from './users.js';
+import { consume, toolCallAmounts } from './usage.js';
+import { logError, traceMeta } from './trace.js';
+
+// MCP clients for the chat endpoints. With MCP_SERVERS_CONFIG pointing at a file shaped like .cursor/mcp.json:
+//   { "mcpServers": {
+//       "sqlite-demo": { "url": "http://localhost:4444/sse" },
+//       "remote": { "url": "https://example.com/mcp", "type": "streamable-http", "headers": { "Authorization": "Bearer ..." } },
+//       "files": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem", "/tmp"], "env": {} } } }
+// every enabled server is connected and its tools are exposed as `<server>__<tool>`. Without a config file the
+// backend uses this server only, with unprefixed names.
+// This server is reached in-process (no HTTP loopback) unless MCP_CLIENT_TRANSPORT or MCP_SSE_URL/MCP_HTTP_URL
+// ask for a network transport; config entries pointing at our own port are treated the same way.
+// Connections are pooled: clients stay open across chat requests, tool lists are cached and refreshed on
+// notifications/tools/list_changed, and dropped remote connections are re-established with exponential backoff.
+// Connections to this server (`self`) are kept per caller (usage subject, user and scopes) so chat tool calls only
+// see the caller's entries and count against the caller's token; they are closed after IDLE_MS without use or when
+// the token is revoked. External servers are shared.
+
+export const TOOL_NAME_SEPARATOR = '__';
+const CONNECT_TIMEOUT_MS = 10000;
+const BACKOFF = { initialMs: 1000, maxMs: 30000 };
+const IDLE_MS = 5 * 60_000;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '0.0.0.0']);
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read MCP servers config ${file}: ${e.message}`);
+  }
+}
+
+function isOwnServer(url, port) {
+  const u = new URL(url);
+  return LOOPBACK_HOSTS.has(u.hostname) && Number(u.port || 80) === Number(port);
+}
+
+// `type`/`transport` wins; otherwise URLs ending in /sse use SSE and other URLs use Streamable HTTP
+function serverTransportType(entry, port) {
+  if (entry.command) return 'stdio';
+  if (entry.type === undefined && entry.transport === undefined && isOwnServer(entry.url, port)) return 'in-process';
+  const type = entry.type || entry.transport;
+  if (type === 'http' || type === 'streamableHttp') return 'streamable-http';
+  if (type) return type;
+  return new URL(entry.url).pathname.replace(/\/$/, '').endsWith('/sse') ? 'sse' : 'streamable-http';
+}
+
+// The MCP servers to aggregate: [{ name, transport, url?, headers?, command?, args?, env?, cwd? }]
+export function loadMcpServers(env = process.env) {
+  const port = env.PORT || 4444;
+  if (!env.MCP_SERVERS_CONFIG) {
+    if (!env.MCP_CLIENT_TRANSPORT && !env.MCP_SSE_URL && !env.MCP_HTTP_URL) {
+      return [{ name: 'local', transport: 'in-process', prefix: false, self: true }];
+    }
+    const transport = env.MCP_CLIENT_TRANSPORT || 'sse';
+    const url = transport === 'streamable-http'
+      ? env.MCP_HTTP_URL || `http://127.0.0.1:${port}/mcp`
+      : env.MCP_SSE_URL || `http://127.0.0.1:${port}/sse`;
+    const headers = env.MCP_AUTH_TOKEN ? { Authorization: `Bearer ${env.MCP_AUTH_TOKEN}` } : undefined;
+    return [{ name: 'local', transport, url, headers, prefix: false, self: true }];
+  }
+  const config = readConfigFile(env.MCP_SERVERS_CONFIG);
+  const servers = [];
+  for (const [name, entry] of Object.entries(config.mcpServers || {})) {
+    if (entry.enabled === false || entry.disabled === true) continue;
+    if (name.includes(TOOL_NAME_SEPARATOR)) {
+      throw new Error(`MCP server name "${name}" must not contain "${TOOL_NAME_SEPARATOR}"`);
+    }
+    if (!entry.url && !entry.command) {
+      throw new Error(`MCP server "${name}": url or command is required`);
+    }
+    const transport = serverTransportType(entry, port);
+    if (!['sse', 'streamable-http', 'stdio', 'in-process'].includes(transport)) {
+      throw new Error(`MCP server "${name}": unknown transport ${transport}`);
+    }
+    servers.push({ ...entry, name, transport, prefix: true, ...(transport === 'in-process' ? { self: true } : {}) });
+  }
+  return servers;
+}
+
+// `caller` ({ userId, scopes, token }) identifies the user a connection to this server acts for
+function createTransport(server, caller) {
+  if (server.transport === 'in-process') {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    createMcpServer({ userId: caller?.userId ?? DEFAULT_USER_ID, scopes: caller?.scopes }).connect(serverTransport).catch((e) => logError('in-process MCP server failed:', e));
+    return clientTransport;
+  }
+  if (server.transport === 'stdio') {
+    return new StdioClientTransport({
+      command: server.command,
+      args: server.args || [],
+      env: { ...getDefaultEnvironment(), ...server.env },
+      cwd: server.cwd,
+      stderr: 'inherit',
+    });
+  }
+  const url = new URL(server.url);
+  const headers = server.self && caller?.token ? { ...server.headers, Authorization: `Bearer ${caller.token}` } : server.headers;
+  const requestInit = headers ? { headers } : undefined;
+  if (server.transport === 'streamable-http') {
+    return new StreamableHTTPClientTransport(url, { requestInit });
+  }
+  return new SSEClientTransport(url, { requestInit });
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// MCP tool result → { isError, text } for the model
+function toolResultText(res) {
+  let text = '';
+  for (const c of res.content || []) {
+    if (c.type === 'text' && c.text) text += c.text + '\n';
+  }
+  if (!text) text = JSON.stringify(res);
+  return { isError: !!res.isError, text: text.trim() };
+}
+
+// One long-lived client per configured server
+class McpServerConnection {
+  constructor(server, { timeoutMs = CONNECT_TIMEOUT_MS, backoff = BACKOFF } = {}, caller = undefined) {
+    this.server = server;
+    this.caller = caller;
+    this.timeoutMs = timeoutMs;
+    this.backoff = backoff;
+    this.client = null;
+    this.tools = [];
+    this.connecting = null;
+    this.lastError = null;
+    this.failures = 0;
+    this.retryAt = 0;
+    this.retryTimer = null;
+    this.closed = false;
+  }
+
+  get connected() {
+    return !!this.client;
+  }
+
+  // Resolve once connected; rejects with the last error while waiting out the backoff
+  async ensure() {
+    if (this.client) return;
+    if (this.connecting) return this.connecting;
+    if (Date.now() < this.retryAt) throw this.lastError;
+    this.connecting = this.connect().finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  async connect() {
+    const transport = createTransport(this.server, this.caller);
+    const client = new MCPClient({ name: 'mcp-openai-backend', version: '1.0.0' });
+    try {
+      await withTimeout(client.connect(transport), this.timeoutMs, `connect timed out after ${this.timeoutMs}ms`);
+      this.tools = await this.listTools(client);
+    } catch (e) {
+      await client.close().catch(() => {});
+      this.fail(e);
+      throw e;
+    }
+    client.onclose = () => {
+      if (this.client !== client) return;
+      this.client = null;
+      this.fail(new Error('connection closed'));
+    };
+    client.setNotificationHandler(ToolListChangedNotificationSchema, async () => {
+      try {
+        this.tools = await this.listTools(client);
+      } catch (e) {
+        logError(`MCP server "${this.server.name}": failed to refresh tools:`, e?.message || e);
+      }
+    });
+    this.client = client;
+    this.failures = 0;
+    this.lastError = null;
+  }
+
+  async listTools(client) {
+    const res = await withTimeout(
+      client.request({ method: 'tools/list', params: {} }, ListToolsResultSchema),
+      this.timeoutMs,
+      `tools/list timed out after ${this.timeoutMs}ms`
+    );
+    return res.tools || [];
+  }
+
+  // Record a failure and schedule a reconnect with exponential backoff
+  fail(error) {
+    this.lastError = error;
+    this.failures++;
+    const delay = Math.min(this.backoff.initialMs * 2 ** (this.failures - 1), this.backoff.maxMs);
+    this.retryAt = Date.now() + delay;
+    if (this.closed || this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (!this.closed) this.ensure().catch(() => {});
+    }, delay);
+    this.retryTimer.unref();
+  }
+
+  async callTool(name, args) {
+    const client = this.client;
+    if (!client) throw this.lastError || new Error('not connected');
+    try {
+      const res = await client.request(
+        { method: 'tools/call', params: { name, arguments: args || {}, _meta: traceMeta() } },
+        CallToolResultSchema
+      );
+      return toolResultText(res);
+    } catch (e) {
+      // JSON-RPC errors come from the server; anything else means the connection is unusable
+      if (!(e instanceof McpError) && this.client === client) {
+        this.client = null;
+        client.close().catch(() => {});
+        this.fail(e);
+      }
+      throw e;
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    const client = this.client;
+    this.client = null;
+    if (!client) return;
+    // Streamable HTTP sessions outlive the client unless they are ended with a DELETE
+    if (client.transport?.terminateSession) await client.transport.terminateSession().catch(() => {});
+    await client.close().catch(() => {});
+  }
+}
+
+// Pool of connections to the configured servers
+export class McpPool {
+  constructor(servers, options = {}) {
+    this.servers = servers;
+    this.options = options;
+    this.idleMs = options.idleMs ?? IDLE_MS;
+    // shared connections to external servers, in config order
+    this.connections = servers.filter((s) => !s.self).map((s) => new McpServerConnection(s, options));
+    // "<subject> <userId> <scopes>" → { subject, connections: Map(server name → connection), lastUsed } for servers
+    // that are this process
+    this.userConnections = new Map();
+  }
+
+  // The own-server connections of one caller ({ userId, scopes, token, subject }; default: the built-in admin)
+  ownConnections(caller = {}) {
+    this.closeIdle();
+    const userId = caller.userId ?? DEFAULT_USER_ID;
+    const key = `${caller.subject ?? ''} ${userId} ${caller.scopes ? caller.scopes.join(',') : '*'}`;
+    let own = this.userConnections.get(key);
+    if (!own) {
+      const connections = new Map(this.servers.filter((s) => s.self).map((s) => [s.name, new McpServerConnection(s, this.options, { ...caller, userId })]));
+      own = { subject: caller.subject, connections, lastUsed: 0 };
+      this.userConnections.set(key, own);
+    }
+    own.lastUsed = Date.now();
+    return own;
+  }
+
+  // Connections used for one caller, in config order
+  connectionsFor(caller = {}, own = this.ownConnections(caller)) {
+    const shared = new Map(this.connections.map((c) => [c.server.name, c]));
+    return this.servers.map((s) => (s.self ? own.connections : shared).get(s.name));
+  }
+
+  // Closes the own-server connections of callers that have not used them for idleMs
+  closeIdle(now = Date.now()) {
+    for (const [key, own] of this.userConnections) {
+      if (now - own.lastUsed > this.idleMs) this.drop(key, own);
+    }
+  }
+
+  // Closes the own-server connections acting for `subject`, e.g. `token:<id>` once that token is revoked
+  closeSubject(subject) {
+    for (const [key, own] of this.userConnections) {
+      if (own.subject === subject) this.drop(key, own);
+    }
+  }
+
+  drop(key, own) {
+    this.userConnections.delete(key);
+    for (const c of own.connections.values()) c.close().catch(() => {});
+  }
+
+  // Tools of every reachable server for one chat request.
+  // Returns { tools, errors: [{ server, error }], callTool(name, args) → { isError, text } }.
+  // With `caller.subject`, calls count against the caller's tool quotas; calls to this server over the network
+  // are counted by the MCP session that serves them instead.
+  async toolset(caller) {
+    const own = this.ownConnections(caller);
+    const connections = this.connectionsFor(caller, own);
+    const results = await Promise.allSettled(connections.map((c) => c.ensure()));
+    const routes = new Map();
+    const tools = [];
+    const errors = [];
+    results.forEach((r, i) => {
+      const conn = connections[i];
+      const { server } = conn;
+      if (r.status === 'rejected') {
+        logError(`MCP server "${server.name}" unavailable:`, r.reason?.message || r.reason);
+        errors.push({ server: server.name, error: String(r.reason?.message || r.reason) });
+        return;
+      }
+      for (const t of conn.tools) {
+        const name = server.prefix ? `${server.name}${TOOL_NAME_SEPARATOR}${t.name}` : t.name;
+        routes.set(name, { conn, toolName: t.name });
+        tools.push({ ...t, name });
+      }
+    });
+
+    return {
+      tools,
+      errors,
+      async callTool(name, args) {
+        const route = routes.get(name);
+        if (!route) return { isError: true, text: `Unknown tool: ${name}` };
+        const { server } = route.conn;
+        // a long run keeps its connections from being closed as idle
+        if (server.self) own.lastUsed = Date.now();
+        if (caller?.subject && !(server.self && server.transport !== 'in-process')) {
+          const limited = consume(caller.subject, server.self ? toolCallAmounts(route.toolName, { args }) : { toolCalls: 1 });
+          if (limited) return { isError: true, text: `${limited.error}; retry after ${limited.retryAfter}s` };
+        }
+        try {
+          return await route.conn.callTool(route.toolName, args);
+        } catch (e) {
+          return { isError: true, text: `MCP server "${route.conn.server.name}" failed: ${e?.message || e}` };
+        }
+      },
+    };
+  }
+
+  status(caller) {
+    return this.connectionsFor(caller).map((c) => ({
+      server: c.server.name,
+      transport: c.server.transport,
+      connected: c.connected,
+      tools: c.tools.length,
+      ...(c.lastError ? { error: String(c.lastError.message || c.lastError), retryAt: new Date(c.retryAt).toISOString() } : {}),
+    }));
+  }
+
+  async close() {
+    const own = [...this.userConnections.values()].flatMap((m) => [...m.connections.values()]);
+    await Promise.allSettled([...this.connections, ...own].map((c) => c.close()));
+  }
+}
+
+let sharedPool = null;
+
+// Process-wide pool used by the chat endpoints
+export function getMcpPool() {
+  if (!sharedPool) sharedPool = new McpPool(loadMcpServers());
+  return sharedPool;
+}
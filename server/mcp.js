@@ -0,0 +1,383 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { storeEntries, sumEntries, listEntries, ENTRY_SORTS, ftsQuery, updateEntry, deleteEntry, restoreEntry, entryBatches } from './db.js';
+import { STAT_METRICS, parseStatsArgs, statsEntries } from './stats.js';
+import { BUCKETS, RANGE_HELP, parseRange } from './time.js';
+import { registerResourceHandlers } from './resources.js';
+import { registerPromptHandlers } from './prompts.js';
+import { SORT_ORDERS, parseListArgs } from './search.js';
+import { EXPORT_FORMATS, exportChunks, importEntries } from './transfer.js';
+import { DEFAULT_USER_ID, SCOPES } from './users.js';
+import { consume, toolCallAmounts } from './usage.js';
+import { audited } from './audit.js';
+import { validateIdempotencyKey } from './idempotency.js';
+import { currentTraceId, withTrace } from './trace.js';
+
+// MCP tool definitions and handlers shared by the HTTP (index.js) and stdio (stdio.js) entry points
+
+// Larger exports go through GET /api/entries/export, which streams
+const EXPORT_TOOL_MAX_ROWS = 1000;
+const SEARCH_MAX_RESULTS = 100;
+export const STORE_MANY_MAX_ITEMS = 100;
+const IDEMPOTENCY_KEY_HELP = 'Optional unique key of this call (e.g. a UUID); repeating it returns the original result';
+
+export const toolsList = [
+  {
+    name: 'store',
+    description: 'Store an integer value with description and timestamp. With an `idempotencyKey`, retrying the same call returns the entry stored the first time instead of a duplicate.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        value: { type: 'integer' },
+        description: { type: 'string' },
+        idempotencyKey: { type: 'string', description: IDEMPOTENCY_KEY_HELP }
+      },
+      required: ['value', 'description']
+    }
+  },
+  {
+    name: 'store_many',
+    description: `Store several entries at once (at most ${STORE_MANY_MAX_ITEMS}). All are stored in one transaction, or none if any item is invalid. Prefer it over repeated \`store\` calls. Returns JSON { count, entries, replayed }; replayed is true when the \`idempotencyKey\` was seen before and nothing new was stored.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              value: { type: 'integer' },
+              description: { type: 'string' }
+            },
+            required: ['value', 'description']
+          }
+        },
+        idempotencyKey: { type: 'string', description: IDEMPOTENCY_KEY_HELP }
+      },
+      required: ['items']
+    }
+  },
+  {
+    name: 'sum',
+    description: 'Sum values in a time range. Prefer `range` (resolved server-side against the current time), or give absolute ISO datetimes [from, to] (inclusive). Datetimes may carry an offset (Z, +02:00); values without one, and date-only values (YYYY-MM-DD, whole local day), are interpreted in `timezone`. Returns JSON { total, from, to, timezone } with the resolved absolute bounds.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        range: { type: 'string', description: `Relative or calendar range: ${RANGE_HELP}` },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin (default UTC)' }
+      }
+    }
+  },
+  {
+    name: 'list',
+    description: 'List entries, newest first unless `sort`/`order` say otherwise, optionally within a `range` or ISO datetime range [from, to] interpreted like `sum`, a value range [minValue, maxValue] and matching a text query `q`',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        range: { type: 'string', description: `Relative or calendar range: ${RANGE_HELP}` },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin (default UTC)' },
+        q: { type: 'string', description: 'Words the description must contain (prefix match)' },
+        minValue: { type: 'integer', description: 'Inclusive lower bound of value' },
+        maxValue: { type: 'integer', description: 'Inclusive upper bound of value' },
+        sort: { type: 'string', enum: ENTRY_SORTS, description: 'Default created_at; relevance needs q' },
+        order: { type: 'string', enum: SORT_ORDERS, description: 'Default desc' },
+        page: { type: 'integer' },
+        pageSize: { type: 'integer', description: 'Max 100 (default 10)' }
+      }
+    }
+  },
+  {
+    name: 'search',
+    description: 'Full-text search of entry descriptions. Every word of `query` must match (as a prefix, so "cof" finds "coffee"); optionally narrowed by `range` or [from, to] like `sum` and a value range. Returns JSON { query, total, items: [{ id, value, description, created_at, snippet }] }, best matches first, with the matched words wrapped in ** in `snippet`. Use it to look entries up by what they are about.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        range: { type: 'string', description: `Relative or calendar range: ${RANGE_HELP}` },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin (default UTC)' },
+        minValue: { type: 'integer', description: 'Inclusive lower bound of value' },
+        maxValue: { type: 'integer', description: 'Inclusive upper bound of value' },
+        sort: { type: 'string', enum: ENTRY_SORTS, description: 'Default relevance' },
+        order: { type: 'string', enum: SORT_ORDERS, description: 'Default desc (best, newest or largest first)' },
+        limit: { type: 'integer', description: `Max ${SEARCH_MAX_RESULTS} (default 10)` }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'stats',
+    description: 'Aggregate entries (count/sum/avg/min/max) over an optional ISO datetime range, optionally grouped by time bucket (hour/day/week/month in a timezone) and/or description. Returns a JSON table { columns, rows }.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        range: { type: 'string', description: `Relative or calendar range instead of from/to: ${RANGE_HELP}` },
+        from: { type: 'string', description: 'ISO datetime lower bound (inclusive)' },
+        to: { type: 'string', description: 'ISO datetime upper bound (inclusive)' },
+        metrics: { type: 'array', items: { type: 'string', enum: STAT_METRICS } },
+        groupBy: { type: 'string', enum: BUCKETS },
+        timezone: { type: 'string', description: 'IANA timezone for bucket boundaries, e.g. Europe/Berlin (default UTC)' },
+        byDescription: { type: 'boolean', description: 'Also group by description' }
+      }
+    }
+  },
+  {
+    name: 'update',
+    description: 'Update the value and/or description of an existing entry by id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        value: { type: 'integer' },
+        description: { type: 'string' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'delete',
+    description: 'Soft-delete an entry by id (excluded from sum/list, can be restored)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'restore',
+    description: 'Restore a previously deleted entry by id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'export',
+    description: `Export entries, oldest first, optionally within a \`range\` or ISO datetime range [from, to] interpreted like \`sum\`. Returns csv (id,value,description,created_at), a json array or ndjson text. At most ${EXPORT_TOOL_MAX_ROWS} entries; narrow the range for more.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: EXPORT_FORMATS, description: 'Default json' },
+        range: { type: 'string', description: `Relative or calendar range: ${RANGE_HELP}` },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin (default UTC)' }
+      }
+    }
+  },
+  {
+    name: 'import',
+    description: 'Import entries from csv (header with value,description[,created_at]), a json array or ndjson text. Every row is validated; all rows are stored in one transaction, or none if any row is invalid. Returns { dryRun, total, valid, imported, errorCount, errors: [{ row, error }] }. dryRun only validates.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: EXPORT_FORMATS },
+        data: { type: 'string', description: 'The csv, json or ndjson text' },
+        dryRun: { type: 'boolean' }
+      },
+      required: ['format', 'data']
+    }
+  }
+];
+
+// Token scope each tool requires
+export const TOOL_SCOPES = {
+  store: 'entries:write',
+  store_many: 'entries:write',
+  sum: 'entries:read',
+  list: 'entries:read',
+  search: 'entries:read',
+  stats: 'entries:read',
+  update: 'entries:write',
+  delete: 'entries:write',
+  restore: 'entries:write',
+  export: 'entries:read',
+  import: 'entries:write',
+};
+
+// Tools a session with `scopes` may see and call
+export function toolsForScopes(scopes = SCOPES) {
+  return toolsList.filter((t) => scopes.includes(TOOL_SCOPES[t.name]));
+}
+
+// JSON-RPC error for requests outside the session's scopes
+export function forbidden(scope) {
+  return new McpError(ErrorCode.InvalidRequest, `Forbidden: this token lacks the ${scope} scope`);
+}
+
+// JSON-RPC error for calls over a rate limit or quota (see usage.js); `data` carries retryAfter in seconds
+export function rateLimited({ error, retryAfter, ...data }) {
+  return new McpError(ErrorCode.InvalidRequest, `${error}; retry after ${retryAfter}s`, { ...data, retryAfter });
+}
+
+const ACTOR = 'mcp';
+
+// Sum response echoing the resolved absolute bounds
+export function sumResult(total, { from, to }, { range, timezone }) {
+  return {
+    total,
+    ...(range ? { range } : {}),
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    timezone,
+  };
+}
+
+// Error message for invalid store_many items (all item errors at once), or null
+export function validateStoreItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return 'items must be a non-empty array';
+  if (items.length > STORE_MANY_MAX_ITEMS) return `at most ${STORE_MANY_MAX_ITEMS} items per call`;
+  const errors = [];
+  items.forEach((item, i) => {
+    if (typeof item?.value !== 'number' || !Number.isInteger(item.value)) errors.push(`items[${i}].value must be integer`);
+    if (typeof item?.description !== 'string' || !item.description.trim()) errors.push(`items[${i}].description is required`);
+  });
+  return errors.length ? errors.join('; ') : null;
+}
+
+export function storeManyResult({ entries, replayed }) {
+  return { count: entries.length, entries, replayed };
+}
+
+function errorResult(text) {
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+// Tool calls run as `userId`: they only see and change that user's entries
+export async function handleCallTool(req, { userId } = {}) {
+  const { name, arguments: args } = req.params || {};
+  if (name === 'store') {
+    const { value, description, idempotencyKey } = args || {};
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      return { content: [{ type: 'text', text: 'value must be integer' }], isError: true };
+    }
+    if (typeof description !== 'string' || !description.trim()) {
+      return { content: [{ type: 'text', text: 'description is required' }], isError: true };
+    }
+    const keyError = validateIdempotencyKey(idempotencyKey);
+    if (keyError) return errorResult(keyError);
+    const result = storeEntries([{ value, description }], { actor: ACTOR, userId, idempotencyKey: idempotencyKey ?? undefined, tool: 'store' });
+    if (result.error) return errorResult(result.error);
+    return { content: [{ type: 'text', text: JSON.stringify(result.entries[0]) }] };
+  }
+  if (name === 'store_many') {
+    const { items, idempotencyKey } = args || {};
+    const error = validateStoreItems(items) || validateIdempotencyKey(idempotencyKey);
+    if (error) return errorResult(error);
+    const entries = items.map(({ value, description }) => ({ value, description }));
+    const result = storeEntries(entries, { actor: ACTOR, userId, idempotencyKey: idempotencyKey ?? undefined });
+    if (result.error) return errorResult(result.error);
+    return { content: [{ type: 'text', text: JSON.stringify(storeManyResult(result)) }] };
+  }
+  if (name === 'sum') {
+    const { timezone = 'UTC' } = args || {};
+    const range = parseRange({ ...args, timezone }, { required: true });
+    if (range.error) return errorResult(range.error);
+    const total = sumEntries({ ...range, userId });
+    return { content: [{ type: 'text', text: JSON.stringify(sumResult(total, range, { range: args?.range, timezone })) }] };
+  }
+  if (name === 'list') {
+    const { error, options } = parseListArgs(args || {});
+    if (error) return errorResult(error);
+    return { content: [{ type: 'text', text: JSON.stringify(listEntries({ ...options, userId })) }] };
+  }
+  if (name === 'search') {
+    const { query, limit = 10, ...filters } = args || {};
+    if (typeof query !== 'string' || !ftsQuery(query)) return errorResult('query must contain at least one word');
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_RESULTS) {
+      return errorResult(`limit must be an integer from 1 to ${SEARCH_MAX_RESULTS}`);
+    }
+    const { error, options } = parseListArgs({ ...filters, q: query }, { defaultSort: 'relevance' });
+    if (error) return errorResult(error);
+    const { items, total } = listEntries({ ...options, page: 1, pageSize: limit, userId });
+    const results = items.map(({ id, value, description, created_at, snippet }) => ({ id, value, description, created_at, snippet }));
+    return { content: [{ type: 'text', text: JSON.stringify({ query, total, items: results }) }] };
+  }
+  if (name === 'stats') {
+    const { error, options } = parseStatsArgs(args || {});
+    if (error) return errorResult(error);
+    return { content: [{ type: 'text', text: JSON.stringify(statsEntries({ ...options, userId })) }] };
+  }
+  if (name === 'update') {
+    const { id, value, description } = args || {};
+    if (!Number.isInteger(id)) return errorResult('id must be integer');
+    if (value !== undefined && (typeof value !== 'number' || !Number.isInteger(value))) {
+      return errorResult('value must be integer');
+    }
+    if (description !== undefined && (typeof description !== 'string' || !description.trim())) {
+      return errorResult('description must be a non-empty string');
+    }
+    if (value === undefined && description === undefined) {
+      return errorResult('provide value and/or description to update');
+    }
+    const entry = updateEntry(id, { value, description }, { actor: ACTOR, userId });
+    if (!entry) return errorResult(`Entry ${id} not found`);
+    return { content: [{ type: 'text', text: JSON.stringify(entry) }] };
+  }
+  if (name === 'delete' || name === 'restore') {
+    const { id } = args || {};
+    if (!Number.isInteger(id)) return errorResult('id must be integer');
+    const entry = name === 'delete' ? deleteEntry(id, { actor: ACTOR, userId }) : restoreEntry(id, { actor: ACTOR, userId });
+    if (!entry) return errorResult(name === 'delete' ? `Entry ${id} not found` : `Entry ${id} is not deleted`);
+    return { content: [{ type: 'text', text: JSON.stringify(entry) }] };
+  }
+  if (name === 'export') {
+    const { format = 'json', from, to, range: rangeName, timezone } = args || {};
+    if (!EXPORT_FORMATS.includes(format)) return errorResult(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    const range = parseRange({ from, to, range: rangeName, timezone });
+    if (range.error) return errorResult(range.error);
+    const entries = entryBatches({ from: range.from, to: range.to, userId, batchSize: EXPORT_TOOL_MAX_ROWS + 1 }).next().value || [];
+    if (entries.length > EXPORT_TOOL_MAX_ROWS) {
+      return errorResult(`More than ${EXPORT_TOOL_MAX_ROWS} entries match; narrow the range or use GET /api/entries/export`);
+    }
+    return { content: [{ type: 'text', text: [...exportChunks(format, [entries])].join('') }] };
+  }
+  if (name === 'import') {
+    const { format, data, dryRun = false } = args || {};
+    if (typeof data !== 'string') return errorResult('data must be a string');
+    const summary = importEntries(format, data, { dryRun: dryRun === true, actor: ACTOR, userId });
+    if (summary.error) return errorResult(summary.error);
+    return { content: [{ type: 'text', text: JSON.stringify(summary) }], ...(summary.errorCount && !dryRun ? { isError: true } : {}) };
+  }
+  return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+}
+
+// One Server instance per session/transport, bound to the user who opened it and their token's scopes.
+// With a usage `subject`, tool calls count against its rate limit and quotas. Client sessions set `audit` so their
+// tool calls are recorded in the audit log; the chat endpoints' in-process connections record calls themselves.
+export function createMcpServer({ userId = DEFAULT_USER_ID, scopes = SCOPES, subject, audit = false } = {}) {
+  const server = new Server(
+    { name: 'mcp-sqlite-server', version: '1.0.0' },
+    { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {}, completions: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: toolsForScopes(scopes) };
+  });
+  // calls run in the caller's trace when the client sends one in `_meta.traceId`
+  server.setRequestHandler(CallToolRequestSchema, (req, extra) => withTrace(req.params._meta?.traceId || currentTraceId(), () => {
+    const scope = TOOL_SCOPES[req.params.name];
+    if (scope && !scopes.includes(scope)) throw forbidden(scope);
+    const limited = subject && consume(subject, toolCallAmounts(req.params.name, { request: true, args: req.params.arguments }));
+    if (limited) throw rateLimited(limited);
+    if (!audit) return handleCallTool(req, { userId });
+    const context = { source: 'mcp', userId, subject, sessionId: extra?.sessionId };
+    return audited(context, req.params.name, req.params.arguments, () => handleCallTool(req, { userId }));
+  }));
+  // resources and prompt data expose entries, so they need the read scope
+  const requireRead = () => {
+    if (!scopes.includes('entries:read')) throw forbidden('entries:read');
+  };
+  registerResourceHandlers(server, { userId, requireRead });
+  registerPromptHandlers(server, { userId, requireRead });
+  return server;
+}
@@ -0,0 +1,124 @@
+// Prometheus metrics for GET /metrics (text exposition format 0.0.4). A minimal registry of counters, histograms
+// and callback gauges; label values are kept low-cardinality (route patterns, tool and model names).
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const LLM_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const DB_BUCKETS = [0.0001, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.5];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter', values: new Map() });
+    metrics.push(this);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const values = this.labelNames.map((n) => labels[n] ?? '');
+    const key = JSON.stringify(values);
+    const current = this.values.get(key);
+    this.values.set(key, { values, value: (current?.value || 0) + amount });
+  }
+
+  render() {
+    return [...this.values.values()].map(({ values, value }) => `${this.name}${labelText(this.labelNames, values)} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = HTTP_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram', values: new Map() });
+    metrics.push(this);
+  }
+
+  observe(labels = {}, seconds) {
+    const values = this.labelNames.map((n) => labels[n] ?? '');
+    const key = JSON.stringify(values);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const { values, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((le, i) => lines.push(`${this.name}_bucket${labelText(this.labelNames, values, `le="${le}"`)} ${counts[i]}`));
+      lines.push(`${this.name}_bucket${labelText(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${labelText(this.labelNames, values)} ${sum}`);
+      lines.push(`${this.name}_count${labelText(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Gauge read at scrape time: collect() → [{ labels, value }]
+class Gauge {
+  constructor(name, help, labelNames, collect) {
+    Object.assign(this, { name, help, labelNames, collect, type: 'gauge' });
+    metrics.push(this);
+  }
+
+  render() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${labelText(this.labelNames, this.labelNames.map((n) => labels[n] ?? ''))} ${value}`);
+  }
+}
+
+export function registerGauge(name, help, labelNames, collect) {
+  return new Gauge(name, help, labelNames, collect);
+}
+
+const httpRequests = new Counter('http_requests_total', 'HTTP requests by route pattern and status', ['method', 'route', 'status']);
+const httpDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency (SSE streams count until closed)', ['method', 'route']);
+const toolCalls = new Counter('tool_calls_total', 'Tool calls by tool, source (rest/mcp/chat) and status (ok/error)', ['tool', 'source', 'status']);
+const toolDuration = new Histogram('tool_call_duration_seconds', 'Tool call latency', ['tool', 'source']);
+const llmRequests = new Counter('llm_requests_total', 'LLM calls (one per step) by provider, model and status', ['provider', 'model', 'status']);
+const llmDuration = new Histogram('llm_request_duration_seconds', 'LLM call latency per step', ['provider', 'model'], LLM_BUCKETS);
+const llmTokens = new Counter('llm_tokens_total', 'LLM tokens by provider, model and type (prompt/completion)', ['provider', 'model', 'type']);
+const dbDuration = new Histogram('sqlite_query_duration_seconds', 'SQLite statement latency by operation and table', ['operation', 'table'], DB_BUCKETS);
+
+export function observeHttp({ method, route, status, seconds }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+export function observeToolCall({ tool, source, isError, seconds }) {
+  toolCalls.inc({ tool, source, status: isError ? 'error' : 'ok' });
+  toolDuration.observe({ tool, source }, seconds);
+}
+
+// usage: { promptTokens, completionTokens } of the step, when it finished
+export function observeLlmCall({ provider, model, isError = false, seconds, usage }) {
+  llmRequests.inc({ provider, model, status: isError ? 'error' : 'ok' });
+  llmDuration.observe({ provider, model }, seconds);
+  if (usage?.promptTokens) llmTokens.inc({ provider, model, type: 'prompt' }, usage.promptTokens);
+  if (usage?.completionTokens) llmTokens.inc({ provider, model, type: 'completion' }, usage.completionTokens);
+}
+
+export function observeQuery({ operation, table }, seconds) {
+  dbDuration.observe({ operation, table }, seconds);
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const m of metrics) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
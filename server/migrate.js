@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import Database from 'better-sqlite3';
+import { migrate, migrationStatus } from './migrator.js';
+
+dotenv.config({ quiet: true });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage: node server/migrate.js <status|up|to> [version] [--db <path>]
+
+  status        show current schema version and applied/pending migrations
+  up            migrate to the latest version
+  to <version>  migrate up or down to a specific version (0 = empty schema)`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    db: { type: 'string' },
+  },
+});
+
+const DB_PATH = values.db || process.env.DB_PATH || path.join(__dirname, '..', 'data.sqlite');
+const [command = 'status', versionArg] = positionals;
+
+function printStatus(db) {
+  const status = migrationStatus(db);
+  console.log(`Database: ${DB_PATH}`);
+  console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+  for (const m of status.migrations) {
+    const state = m.applied ? `applied ${m.applied_at || ''}`.trim() : 'pending';
+    console.log(`  ${String(m.version).padStart(3, '0')} ${m.name}  [${state}]`);
+  }
+}
+
+function run() {
+  const db = new Database(DB_PATH);
+  try {
+    if (command === 'status') {
+      printStatus(db);
+    } else if (command === 'up') {
+      const version = migrate(db, { log: (msg) => console.log(msg) });
+      console.log(`Schema version: ${version}`);
+    } else if (command === 'to') {
+      const to = Number(versionArg);
+      if (versionArg === undefined || !Number.isInteger(to)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      const version = migrate(db, { to, log: (msg) => console.log(msg) });
+      console.log(`Schema version: ${version}`);
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  run();
+} catch (e) {
+  console.error('migrate failed:', e.message || e);
+  process.exit(1);
+}
@@ -0,0 +1,14 @@
+export const name = 'create_entries';
+
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    value INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  )`);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS entries');
+}
@@ -0,0 +1,24 @@
+export const name = 'soft_delete_and_history';
+
+export function up(db) {
+  // Databases created before migrations existed may already have the column
+  const columns = db.prepare('PRAGMA table_info(entries)').all().map((c) => c.name);
+  if (!columns.includes('deleted_at')) {
+    db.exec('ALTER TABLE entries ADD COLUMN deleted_at TEXT');
+  }
+  db.exec(`CREATE TABLE IF NOT EXISTS entry_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    before TEXT,
+    after TEXT,
+    actor TEXT,
+    changed_at TEXT NOT NULL
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_entry_history_entry ON entry_history(entry_id)');
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS entry_history');
+  db.exec('ALTER TABLE entries DROP COLUMN deleted_at');
+}
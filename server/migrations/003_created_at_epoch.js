@@ -0,0 +1,20 @@
+export const name = 'created_at_epoch';
+
+// Adds a canonical UTC epoch-ms column used for all range queries and normalizes created_at to toISOString() form
+export function up(db) {
+  db.exec('ALTER TABLE entries ADD COLUMN created_at_ms INTEGER');
+  const rows = db.prepare('SELECT id, created_at FROM entries').all();
+  const update = db.prepare('UPDATE entries SET created_at_ms = ?, created_at = ? WHERE id = ?');
+  for (const row of rows) {
+    const ms = Date.parse(row.created_at);
+    if (Number.isFinite(ms)) {
+      update.run(ms, new Date(ms).toISOString(), row.id);
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_entries_created_at_ms ON entries(created_at_ms)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_entries_created_at_ms');
+  db.exec('ALTER TABLE entries DROP COLUMN created_at_ms');
+}
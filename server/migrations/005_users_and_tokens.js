@@ -0,0 +1,38 @@
+export const name = 'users_and_tokens';
+
+// Users own entries and conversations; API tokens are stored as SHA-256 hashes and bound to one user.
+// A built-in admin user (id 1) owns everything created before this migration.
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    is_admin INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  )`);
+  db.exec(`CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL DEFAULT '',
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id)');
+  db.prepare('INSERT OR IGNORE INTO users(id, name, is_admin, created_at) VALUES(1, ?, 1, ?)').run('admin', new Date().toISOString());
+
+  db.exec('ALTER TABLE entries ADD COLUMN user_id INTEGER REFERENCES users(id)');
+  db.exec('UPDATE entries SET user_id = 1');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_entries_user_created_at_ms ON entries(user_id, created_at_ms)');
+  db.exec('ALTER TABLE conversations ADD COLUMN user_id INTEGER REFERENCES users(id)');
+  db.exec('UPDATE conversations SET user_id = 1');
+}
+
+export function down(db) {
+  db.exec('ALTER TABLE conversations DROP COLUMN user_id');
+  db.exec('DROP INDEX IF EXISTS idx_entries_user_created_at_ms');
+  db.exec('ALTER TABLE entries DROP COLUMN user_id');
+  db.exec('DROP TABLE IF EXISTS api_tokens');
+  db.exec('DROP TABLE IF EXISTS users');
+}
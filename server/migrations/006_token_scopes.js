@@ -0,0 +1,10 @@
+export const name = 'token_scopes';
+
+// Space-separated scopes per API token (e.g. "entries:read"); existing tokens keep full access
+export function up(db) {
+  db.exec("ALTER TABLE api_tokens ADD COLUMN scopes TEXT NOT NULL DEFAULT 'entries:read entries:write'");
+}
+
+export function down(db) {
+  db.exec('ALTER TABLE api_tokens DROP COLUMN scopes');
+}
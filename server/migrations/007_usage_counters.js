@@ -0,0 +1,16 @@
+export const name = 'usage_counters';
+
+// Rate limit and quota counters per caller ("subject") and fixed window (a UTC minute or day)
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS usage_counters (
+    subject TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    period TEXT NOT NULL,
+    amount INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (subject, metric, period)
+  )`);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS usage_counters');
+}
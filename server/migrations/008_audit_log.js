@@ -0,0 +1,26 @@
+export const name = 'audit_log';
+
+// One row per tool invocation from REST, MCP sessions and chat runs
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    created_at_ms INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    tool TEXT NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    subject TEXT,
+    session_id TEXT,
+    conversation_id INTEGER,
+    args TEXT,
+    result TEXT,
+    is_error INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER NOT NULL
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at_ms ON audit_log(created_at_ms)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_user_created_at_ms ON audit_log(user_id, created_at_ms)');
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS audit_log');
+}
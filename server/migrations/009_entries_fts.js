@@ -0,0 +1,25 @@
+export const name = 'entries_fts';
+
+// FTS5 index on entries.description (external content, kept in sync by triggers) for text search and filtering
+export function up(db) {
+  db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(
+    description, content='entries', content_rowid='id', tokenize='porter unicode61 remove_diacritics 2'
+  )`);
+  db.exec(`CREATE TRIGGER IF NOT EXISTS entries_fts_ai AFTER INSERT ON entries BEGIN
+    INSERT INTO entries_fts(rowid, description) VALUES (new.id, new.description);
+  END`);
+  db.exec(`CREATE TRIGGER IF NOT EXISTS entries_fts_ad AFTER DELETE ON entries BEGIN
+    INSERT INTO entries_fts(entries_fts, rowid, description) VALUES ('delete', old.id, old.description);
+  END`);
+  db.exec(`CREATE TRIGGER IF NOT EXISTS entries_fts_au AFTER UPDATE OF description ON entries BEGIN
+    INSERT INTO entries_fts(entries_fts, rowid, description) VALUES ('delete', old.id, old.description);
+    INSERT INTO entries_fts(rowid, description) VALUES (new.id, new.description);
+  END`);
+  // index the rows that already exist
+  db.exec("INSERT INTO entries_fts(entries_fts) VALUES ('rebuild')");
+}
+
+export function down(db) {
+  for (const trigger of ['entries_fts_ai', 'entries_fts_ad', 'entries_fts_au']) db.exec(`DROP TRIGGER IF EXISTS ${trigger}`);
+  db.exec('DROP TABLE IF EXISTS entries_fts');
+}
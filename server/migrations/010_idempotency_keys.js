@@ -0,0 +1,19 @@
+export const name = 'idempotency_keys';
+
+// Client-supplied idempotency keys of store calls and the entries the first call created.
+// user_id is 0 for stores without an owner; rows older than the retention window are pruned on use.
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    entry_ids TEXT NOT NULL,
+    created_at_ms INTEGER NOT NULL,
+    PRIMARY KEY (user_id, key)
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at_ms ON idempotency_keys(created_at_ms)');
+}
+
+export function down(db) {
+  db.exec('DROP TABLE IF EXISTS idempotency_keys');
+}
@@ -0,0 +1,11 @@
+export const name = 'history_user';
+
+// The user who made each entry change. Earlier history rows are attributed to the entry's owner.
+export function up(db) {
+  db.exec('ALTER TABLE entry_history ADD COLUMN user_id INTEGER REFERENCES users(id)');
+  db.exec('UPDATE entry_history SET user_id = (SELECT user_id FROM entries WHERE entries.id = entry_history.entry_id)');
+}
+
+export function down(db) {
+  db.exec('ALTER TABLE entry_history DROP COLUMN user_id');
+}
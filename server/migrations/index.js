@@ -0,0 +1,15 @@
+import * as m001 from './001_create_entries.js';
+import * as m002 from './002_soft_delete_and_history.js';
+import * as m003 from './003_created_at_epoch.js';
+import * as m004 from './004_conversations.js';
+import * as m005 from './005_users_and_tokens.js';
+import * as m006 from './006_token_scopes.js';
+import * as m007 from './007_usage_counters.js';
+import * as m008 from './008_audit_log.js';
+import * as m009 from './009_entries_fts.js';
+import * as m010 from './010_idempotency_keys.js';
+import * as m011 from './011_history_user.js';
+
+// Ordered list of schema migrations; version N is the Nth entry.
+// To add a migration, create NNN_<name>.js exporting `name`, `up(db)` and `down(db)` and append it here.
+export const migrations = [m001, m002, m003, m004, m005, m006, m007, m008, m009, m010, m011].map((m, i) => ({ version: i + 1, name: m.name, up: m.up, down: m.down }));
@@ -0,0 +1,68 @@
+import { migrations } from './migrations/index.js';
+
+export const LATEST_VERSION = migrations.length;
+
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+function ensureVersionTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+}
+
+// Applied/pending state of every known migration
+export function migrationStatus(db) {
+  ensureVersionTable(db);
+  const current = getSchemaVersion(db);
+  const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_version').all().map((r) => [r.version, r.applied_at]));
+  return {
+    current,
+    latest: LATEST_VERSION,
+    migrations: migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied: m.version <= current,
+      applied_at: applied.get(m.version) || null,
+    })),
+  };
+}
+
+// Migrate up or down to `to` (default: latest). Each step runs in its own transaction.
+export function migrate(db, { to = LATEST_VERSION, log = () => {} } = {}) {
+  if (!Number.isInteger(to) || to < 0 || to > LATEST_VERSION) {
+    throw new Error(`Invalid target version ${to} (expected 0..${LATEST_VERSION})`);
+  }
+  ensureVersionTable(db);
+  let current = getSchemaVersion(db);
+  if (current > LATEST_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${LATEST_VERSION})`);
+  }
+
+  while (current < to) {
+    const m = migrations[current];
+    db.transaction(() => {
+      m.up(db);
+      db.prepare('INSERT OR REPLACE INTO schema_version(version, name, applied_at) VALUES(?, ?, ?)').run(m.version, m.name, new Date().toISOString());
+      db.pragma(`user_version = ${m.version}`);
+    })();
+    log(`Applied migration ${m.version} ${m.name}`);
+    current = m.version;
+  }
+
+  while (current > to) {
+    const m = migrations[current - 1];
+    db.transaction(() => {
+      m.down(db);
+      db.prepare('DELETE FROM schema_version WHERE version = ?').run(m.version);
+      db.pragma(`user_version = ${m.version - 1}`);
+    })();
+    log(`Reverted migration ${m.version} ${m.name}`);
+    current = m.version - 1;
+  }
+
+  return current;
+}
@@ -0,0 +1,126 @@
+import fs from 'fs';
+
+// Deterministic mock LLM (provider type `mock`, LLM_PROVIDER=mock) replaying scripted turns from a JSON fixture:
+//   { "scripts": [{ "match": "store", "turns": [
+//       { "toolCalls": [{ "name": "store", "args": { "value": 7, "description": "demo" } }] },
+//       { "text": "Stored: {{result}}" } ] }],
+//     "default": { "turns": [{ "text": "ok" }] } }
+// The script is picked by the first `match` substring (case-insensitive) found in the latest user message; the turn
+// is the number of assistant replies since that message, so replies depend only on the conversation so far.
+// Turn fields: `text` ({{result}} expands to the latest tool result), `toolCalls`, or `error` to make the call fail.
+
+const USAGE = { promptTokens: 10, completionTokens: 5 };
+
+function loadFixture(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read mock LLM fixture ${file}: ${e.message}`);
+  }
+}
+
+// Pick the scripted turn for a conversation state { userText, userTurns, turn, lastResult }
+export function mockTurn(fixture, { userText, userTurns, turn, lastResult }) {
+  const text = (userText || '').toLowerCase();
+  const script = (fixture.scripts || []).find((s) => text.includes(String(s.match).toLowerCase())) || fixture.default;
+  const step = script?.turns?.[turn];
+  if (!step) return { text: `(mock: no scripted turn ${turn} for "${userText}")`, toolCalls: [] };
+  if (step.error) throw new Error(step.error);
+  return {
+    text: (step.text || '').replace(/\{\{result\}\}/g, lastResult ?? ''),
+    toolCalls: (step.toolCalls || []).map((tc, i) => ({
+      id: `call_${userTurns}_${turn}_${i}`,
+      name: tc.name,
+      args: tc.args || {},
+    })),
+  };
+}
+
+// Conversation state from OpenAI chat messages (/api/chat)
+function stateFromOpenAI(messages) {
+  const lastUser = messages.findLastIndex((m) => m.role === 'user');
+  const after = messages.slice(lastUser + 1);
+  const lastTool = after.findLast((m) => m.role === 'tool');
+  return {
+    userText: messages[lastUser]?.content || '',
+    userTurns: messages.filter((m) => m.role === 'user').length,
+    turn: after.filter((m) => m.role === 'assistant').length,
+    lastResult: lastTool?.content,
+  };
+}
+
+// Conversation state from an AI SDK LanguageModelV1 prompt (/api/chat-ai, /api/chat-ai-stream)
+function stateFromPrompt(prompt) {
+  const lastUser = prompt.findLastIndex((m) => m.role === 'user');
+  const after = prompt.slice(lastUser + 1);
+  const lastTool = after.findLast((m) => m.role === 'tool')?.content.at(-1)?.result;
+  return {
+    userText: (prompt[lastUser]?.content || []).filter((p) => p.type === 'text').map((p) => p.text).join(''),
+    userTurns: prompt.filter((m) => m.role === 'user').length,
+    turn: after.filter((m) => m.role === 'assistant').length,
+    lastResult: lastTool === undefined || typeof lastTool === 'string' ? lastTool : JSON.stringify(lastTool),
+  };
+}
+
+// Chat client with the same contract as createChatClient() in providers.js
+export function createMockChatClient(provider) {
+  return {
+    async complete({ messages }) {
+      const { text, toolCalls } = mockTurn(loadFixture(provider.fixtures), stateFromOpenAI(messages));
+      return {
+        role: 'assistant',
+        content: text,
+        usage: { ...USAGE, totalTokens: USAGE.promptTokens + USAGE.completionTokens },
+        ...(toolCalls.length ? {
+          tool_calls: toolCalls.map((tc) => ({ id: tc.id, type: 'function', function: { name: tc.name, arguments: JSON.stringify(tc.args) } })),
+        } : {}),
+      };
+    },
+  };
+}
+
+// AI SDK language model (LanguageModelV1) replaying the same fixture
+export function createMockLanguageModel(provider, modelId) {
+  const generate = (options) => {
+    const { text, toolCalls } = mockTurn(loadFixture(provider.fixtures), stateFromPrompt(options.prompt));
+    return {
+      text,
+      toolCalls: toolCalls.map((tc) => ({ toolCallType: 'function', toolCallId: tc.id, toolName: tc.name, args: JSON.stringify(tc.args) })),
+      finishReason: toolCalls.length ? 'tool-calls' : 'stop',
+    };
+  };
+  return {
+    specificationVersion: 'v1',
+    provider: 'mock',
+    modelId,
+    defaultObjectGenerationMode: undefined,
+    async doGenerate(options) {
+      const { text, toolCalls, finishReason } = generate(options);
+      return {
+        text: text || undefined,
+        toolCalls,
+        finishReason,
+        usage: USAGE,
+        rawCall: { rawPrompt: options.prompt, rawSettings: {} },
+      };
+    },
+    async doStream(options) {
+      const { text, toolCalls, finishReason } = generate(options);
+      // Text is streamed word by word so clients see several deltas
+      const parts = [
+        ...(text.match(/\S+\s*/g) || []).map((word) => ({ type: 'text-delta', textDelta: word })),
+        ...toolCalls.map((tc) => ({ type: 'tool-call', ...tc })),
+        { type: 'finish', finishReason, usage: USAGE },
+      ];
+      return {
+        stream: new ReadableStream({
+          start(controller) {
+            for (const part of parts) controller.enqueue(part);
+            controller.close();
+          },
+        }),
+        rawCall: { rawPrompt: options.prompt, rawSettings: {} },
+      };
+    },
+  };
+}
@@ -0,0 +1,102 @@
+import { TOOL_NAME_SEPARATOR } from './mcp-clients.js';
+
+// Per-tool policies for chat tool calls:
+//   auto    — run immediately
+//   confirm — pause the run and return the pending call until the user approves, edits or rejects it
+//   deny    — never offered to the model
+// TOOL_POLICIES is a comma-separated list of `<tool>=<policy>`; `*` sets the fallback (default: auto). Names may be
+// namespaced (`sqlite-demo__store`) or bare (`store`, matching that tool on every server).
+
+export const POLICIES = ['auto', 'confirm', 'deny'];
+export const DEFAULT_TOOL_POLICIES = 'store=confirm,store_many=confirm,update=confirm,delete=confirm,restore=confirm,import=confirm';
+
+export function parseToolPolicies(spec = DEFAULT_TOOL_POLICIES) {
+  const policies = new Map();
+  for (const item of spec.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [name, policy] = item.split('=').map((s) => s.trim());
+    if (!name || !POLICIES.includes(policy)) {
+      throw new Error(`Invalid TOOL_POLICIES entry "${item}" (expected <tool>=${POLICIES.join('|')})`);
+    }
+    policies.set(name, policy);
+  }
+  return policies;
+}
+
+let cached = null;
+
+export function getToolPolicies() {
+  if (!cached) cached = parseToolPolicies(process.env.TOOL_POLICIES ?? DEFAULT_TOOL_POLICIES);
+  return cached;
+}
+
+export function toolPolicy(name, policies = getToolPolicies()) {
+  if (policies.has(name)) return policies.get(name);
+  const idx = name.lastIndexOf(TOOL_NAME_SEPARATOR);
+  const bare = idx >= 0 ? name.slice(idx + TOOL_NAME_SEPARATOR.length) : name;
+  return policies.get(bare) || policies.get('*') || 'auto';
+}
+
+// Tool calls of the last assistant message that have no tool result yet, from stored (neutral) messages
+export function findPendingToolCalls(history) {
+  const lastAssistant = history.findLastIndex((m) => m.role === 'assistant');
+  if (lastAssistant < 0 || !history[lastAssistant].toolCalls) return [];
+  const answered = new Set(history.slice(lastAssistant + 1).filter((m) => m.role === 'tool').map((m) => m.toolCallId));
+  return history[lastAssistant].toolCalls.filter((tc) => !answered.has(tc.id));
+}
+
+// Match `approvals` ([{ toolCallId, action: approve|edit|reject, args?, reason? }]) to the pending calls.
+// Returns { decisions: [{ call, action, args, reason }] } or { error } when a call is missing or invalid.
+export function resolveApprovals(pending, approvals) {
+  if (!Array.isArray(approvals) || !approvals.length) {
+    return { error: '`approvals` must be a non-empty array' };
+  }
+  if (!pending.length) return { error: 'conversation has no pending tool calls' };
+  const byId = new Map(approvals.map((a) => [a?.toolCallId, a]));
+  const decisions = [];
+  for (const call of pending) {
+    const a = byId.get(call.id);
+    if (!a) return { error: `missing approval for tool call ${call.id}` };
+    if (!['approve', 'edit', 'reject'].includes(a.action)) {
+      return { error: `approval action for ${call.id} must be approve, edit or reject` };
+    }
+    if (a.action === 'edit' && (!a.args || typeof a.args !== 'object' || Array.isArray(a.args))) {
+      return { error: `edited args for ${call.id} must be an object` };
+    }
+    decisions.push({
+      call,
+      action: a.action,
+      args: a.action === 'edit' ? a.args : call.args || {},
+      reason: typeof a.reason === 'string' ? a.reason : undefined,
+    });
+  }
+  for (const id of byId.keys()) {
+    if (!pending.some((c) => c.id === id)) return { error: `tool call ${id} is not pending` };
+  }
+  return { decisions };
+}
+
+// Execute approved/edited calls and turn rejections into error results.
+// Returns neutral tool messages ({ role: 'tool', content, toolCallId, toolName, isError }) to append to the run.
+// `onResult` gets each message as soon as its call has run, so it can be stored before the run goes on.
+export async function applyApprovals(mcp, decisions, toolLogs, onResult) {
+  const messages = [];
+  for (const { call, action, args, reason } of decisions) {
+    let isError = false;
+    let text;
+    if (action === 'reject') {
+      isError = true;
+      text = `Rejected by user${reason ? `: ${reason}` : ''}`;
+    } else if (toolPolicy(call.name) === 'deny') {
+      isError = true;
+      text = `Tool ${call.name} is denied by policy`;
+    } else {
+      ({ isError, text } = await mcp.callTool(call.name, args));
+      if (action === 'edit') text = `Executed with user-edited arguments ${JSON.stringify(args)}: ${text}`;
+    }
+    if (toolLogs) toolLogs.push({ name: call.name, args, output: text, isError, approval: action });
+    const message = { role: 'tool', content: text, toolCallId: call.id, toolName: call.name, isError };
+    onResult?.(message);
+    messages.push(message);
+  }
+  return messages;
+}
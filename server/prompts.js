@@ -0,0 +1,155 @@
+import {
+  CompleteRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+import { listEntries, sumEntries } from './db.js';
+import { statsEntries } from './stats.js';
+import { BUCKETS, PERIODS, isValidTimezone, resolvePeriod } from './time.js';
+
+const GROUPINGS = [...BUCKETS, 'description'];
+const COMPARABLE_PERIODS = ['today', 'this_week', 'this_month', 'last_7_days', 'last_30_days'];
+const PREVIOUS_PERIOD = { today: 'yesterday', this_week: 'last_week', this_month: 'last_month' };
+const MAX_EMBEDDED_ENTRIES = 100;
+
+const timezoneArg = { name: 'timezone', description: 'IANA timezone for day/week/month boundaries (default UTC)', required: false };
+
+export const promptsList = [
+  {
+    name: 'summarize_period',
+    description: 'Summarize the entries stored in a period, with totals and a grouped breakdown',
+    arguments: [
+      { name: 'period', description: `One of: ${PERIODS.join(', ')}`, required: true },
+      { name: 'grouping', description: `Breakdown by: ${GROUPINGS.join(', ')} (default day)`, required: false },
+      timezoneArg,
+    ],
+  },
+  {
+    name: 'compare_periods',
+    description: 'Compare a period with the one before it (e.g. this month vs last month)',
+    arguments: [
+      { name: 'period', description: `One of: ${COMPARABLE_PERIODS.join(', ')}`, required: true },
+      { name: 'grouping', description: `Breakdown by: ${GROUPINGS.join(', ')} (default description)`, required: false },
+      timezoneArg,
+    ],
+  },
+];
+
+// Timezones offered by completion/complete. Node's list leaves out UTC, the prompts' default.
+const TIMEZONES = ['UTC', ...Intl.supportedValuesOf('timeZone').filter((tz) => tz !== 'UTC')];
+
+// Allowed values per prompt argument, used for validation and completion/complete
+function argumentValues(promptName, argName) {
+  if (argName === 'period') return promptName === 'compare_periods' ? COMPARABLE_PERIODS : PERIODS;
+  if (argName === 'grouping') return GROUPINGS;
+  if (argName === 'timezone') return TIMEZONES;
+  return [];
+}
+
+function parsePromptArgs(name, args = {}, defaultGrouping) {
+  const { period, grouping = defaultGrouping, timezone = 'UTC' } = args;
+  if (!argumentValues(name, 'period').includes(period)) {
+    throw new McpError(ErrorCode.InvalidParams, `period must be one of: ${argumentValues(name, 'period').join(', ')}`);
+  }
+  if (!GROUPINGS.includes(grouping)) {
+    throw new McpError(ErrorCode.InvalidParams, `grouping must be one of: ${GROUPINGS.join(', ')}`);
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown timezone: ${timezone}`);
+  }
+  return { period, grouping, timezone };
+}
+
+function periodData(range, grouping, timezone, userId) {
+  const total = sumEntries({ ...range, userId });
+  const { items, total: count } = listEntries({ ...range, userId, page: 1, pageSize: MAX_EMBEDDED_ENTRIES });
+  const breakdown = grouping === 'description'
+    ? statsEntries({ ...range, userId, timezone, byDescription: true })
+    : statsEntries({ ...range, userId, timezone, groupBy: grouping });
+  return { ...range, total, count, breakdown: { columns: breakdown.columns, rows: breakdown.rows }, entries: items };
+}
+
+function shiftRange({ from, to }) {
+  const start = Date.parse(from);
+  const length = Date.parse(to) - start + 1;
+  return { from: new Date(start - length).toISOString(), to: new Date(start - 1).toISOString() };
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function renderSummarize(args, userId) {
+  const { period, grouping, timezone } = parsePromptArgs('summarize_period', args, 'day');
+  const data = periodData(resolvePeriod(period, { timezone }), grouping, timezone, userId);
+  const truncated = data.count > data.entries.length ? ` (showing the ${data.entries.length} most recent of ${data.count})` : '';
+  return {
+    description: `Summary of ${period} (${timezone}) grouped by ${grouping}`,
+    messages: [
+      userMessage(
+        `Summarize my entries for ${period.replace(/_/g, ' ')} (${data.from} to ${data.to}, timezone ${timezone}).\n` +
+        `Report the total, call out the largest entries and any notable patterns in the ${grouping} breakdown.\n\n` +
+        `Total: ${data.total} across ${data.count} entries${truncated}.\n\n` +
+        `Data (JSON):\n${JSON.stringify(data, null, 2)}`
+      ),
+    ],
+  };
+}
+
+function renderCompare(args, userId) {
+  const { period, grouping, timezone } = parsePromptArgs('compare_periods', args, 'description');
+  const currentRange = resolvePeriod(period, { timezone });
+  const previousName = PREVIOUS_PERIOD[period];
+  const previousRange = previousName ? resolvePeriod(previousName, { timezone }) : shiftRange(currentRange);
+  const current = periodData(currentRange, grouping, timezone, userId);
+  const previous = periodData(previousRange, grouping, timezone, userId);
+  const delta = current.total - previous.total;
+  return {
+    description: `Comparison of ${period} with the previous period (${timezone}) grouped by ${grouping}`,
+    messages: [
+      userMessage(
+        `Compare my entries for ${period.replace(/_/g, ' ')} with the previous period (timezone ${timezone}).\n` +
+        `Explain the change in total and which ${grouping} groups drove it.\n\n` +
+        `Current: ${current.total} (${current.count} entries, ${current.from} to ${current.to})\n` +
+        `Previous: ${previous.total} (${previous.count} entries, ${previous.from} to ${previous.to})\n` +
+        `Change: ${delta >= 0 ? '+' : ''}${delta}\n\n` +
+        `Data (JSON):\n${JSON.stringify({ current, previous }, null, 2)}`
+      ),
+    ],
+  };
+}
+
+const renderers = {
+  summarize_period: renderSummarize,
+  compare_periods: renderCompare,
+};
+
+// Adds the prompts capability handlers (list/get + argument completion) to a per-session Server;
+// prompt data is limited to the entries of the session's user, and `requireRead` throws when it may not read them
+export function registerPromptHandlers(server, { userId, requireRead = () => {} } = {}) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: promptsList };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+    const { name, arguments: args } = req.params;
+    const render = renderers[name];
+    if (!render) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    requireRead();
+    return render(args || {}, userId);
+  });
+
+  server.setRequestHandler(CompleteRequestSchema, async (req) => {
+    const { ref, argument } = req.params;
+    if (ref.type !== 'ref/prompt' || !renderers[ref.name]) {
+      return { completion: { values: [], hasMore: false } };
+    }
+    const prefix = String(argument.value || '').toLowerCase();
+    const matches = argumentValues(ref.name, argument.name).filter((v) => v.toLowerCase().startsWith(prefix));
+    return { completion: { values: matches.slice(0, 100), total: matches.length, hasMore: matches.length > 100 } };
+  });
+}
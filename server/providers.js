@@ -0,0 +1,433 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { createOpenAI } from '@ai-sdk/openai';
+import { createAnthropic } from '@ai-sdk/anthropic';
+import { experimental_wrapLanguageModel as wrapLanguageModel } from 'ai';
+import { createMockChatClient, createMockLanguageModel } from './mock-llm.js';
+import { observeLlmCall } from './metrics.js';
+import { log } from './trace.js';
+
+// LLM provider registry shared by the chat routes.
+// Providers come from env (openai, openrouter, anthropic, openai-compatible) and are merged with an optional
+// JSON config file (LLM_CONFIG, default llm.config.json in the repo root):
+//   { "default": "ollama",
+//     "providers": { "ollama": { "type": "openai-compatible", "baseURL": "http://localhost:11434/v1", "defaultModel": "llama3.1" } } }
+// Each provider has a type, its own credentials (apiKey, or apiKeyEnv naming an env var) and a default model.
+// The `mock` type replays scripted turns from a fixture file (see mock-llm.js) for offline tests; MOCK_LLM_FIXTURES
+// (or `fixtures` in the config) must name that file.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'llm.config.json');
+
+export const PROVIDER_TYPES = ['openai', 'openrouter', 'anthropic', 'openai-compatible', 'mock'];
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const ANTHROPIC_MAX_TOKENS = 4096;
+const DEFAULT_MAX_STEPS = 5;
+
+// Comma-separated model allowlist from env, e.g. OPENAI_MODELS=gpt-4o-mini,gpt-4o
+function listEnv(value) {
+  return (value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+// Provider defaults derived from env; only providers with credentials (or a base URL) are registered
+function envProviders(env) {
+  const providers = {};
+  if (env.OPENAI_API_KEY) {
+    providers.openai = {
+      type: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      apiKeyEnv: 'OPENAI_API_KEY',
+      baseURL: env.OPENAI_BASE_URL,
+      defaultModel: env.OPENAI_MODEL || 'gpt-4o-mini',
+      models: listEnv(env.OPENAI_MODELS),
+    };
+  }
+  if (env.OPENROUTER_API_KEY) {
+    providers.openrouter = {
+      type: 'openrouter',
+      apiKey: env.OPENROUTER_API_KEY,
+      apiKeyEnv: 'OPENROUTER_API_KEY',
+      defaultModel: env.OPENROUTER_MODEL || 'openai/gpt-4o-mini',
+      models: listEnv(env.OPENROUTER_MODELS),
+      site: env.OPENROUTER_SITE,
+      app: env.OPENROUTER_APP,
+    };
+  }
+  if (env.ANTHROPIC_API_KEY) {
+    providers.anthropic = {
+      type: 'anthropic',
+      apiKey: env.ANTHROPIC_API_KEY,
+      apiKeyEnv: 'ANTHROPIC_API_KEY',
+      baseURL: env.ANTHROPIC_BASE_URL,
+      defaultModel: env.ANTHROPIC_MODEL || env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
+      models: listEnv(env.ANTHROPIC_MODELS),
+    };
+  }
+  if (env.OPENAI_COMPAT_BASE_URL) {
+    providers['openai-compatible'] = {
+      type: 'openai-compatible',
+      baseURL: env.OPENAI_COMPAT_BASE_URL,
+      apiKey: env.OPENAI_COMPAT_API_KEY,
+      apiKeyEnv: 'OPENAI_COMPAT_API_KEY',
+      defaultModel: env.OPENAI_COMPAT_MODEL,
+      models: listEnv(env.OPENAI_COMPAT_MODELS),
+    };
+  }
+  if (env.LLM_PROVIDER === 'mock' || env.MOCK_LLM_FIXTURES) {
+    providers.mock = {
+      type: 'mock',
+      fixtures: env.MOCK_LLM_FIXTURES,
+      defaultModel: 'mock-1',
+      models: ['mock-2'],
+    };
+  }
+  return providers;
+}
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read LLM config ${file}: ${e.message}`);
+  }
+}
+
+function validateProvider(name, p) {
+  if (!PROVIDER_TYPES.includes(p.type)) {
+    throw new Error(`Provider "${name}": type must be one of ${PROVIDER_TYPES.join(', ')}`);
+  }
+  if (p.type === 'openai-compatible' && !p.baseURL) {
+    throw new Error(`Provider "${name}": baseURL is required for openai-compatible providers`);
+  }
+  // the fixture ships with the tests, which deployments may leave out, so there is no default path
+  if (p.type === 'mock' && !p.fixtures) {
+    throw new Error(`Provider "${name}": fixtures is required for mock providers (set MOCK_LLM_FIXTURES or "fixtures" in the LLM config)`);
+  }
+  if (p.type === 'mock' && !fs.existsSync(p.fixtures)) {
+    throw new Error(`Provider "${name}": mock fixture file not found: ${p.fixtures}`);
+  }
+  if (!p.defaultModel) {
+    throw new Error(`Provider "${name}": defaultModel is required`);
+  }
+  if (p.models !== undefined && !Array.isArray(p.models)) {
+    throw new Error(`Provider "${name}": models must be an array of model ids`);
+  }
+}
+
+// Build the registry: { defaultProvider, providers: { [name]: { name, type, apiKey, baseURL, defaultModel, models, ... } }, maxSteps }.
+// `models` is the allowlist for per-request model selection and always includes the default model.
+export function loadProviders({ env = process.env, configPath } = {}) {
+  const providers = envProviders(env);
+  let fileDefault;
+  const file = configPath || env.LLM_CONFIG || DEFAULT_CONFIG_PATH;
+  if (configPath || env.LLM_CONFIG || fs.existsSync(file)) {
+    const config = readConfigFile(file);
+    fileDefault = config.default;
+    for (const [name, entry] of Object.entries(config.providers || {})) {
+      const merged = { ...providers[name], ...entry };
+      if (entry.apiKeyEnv) merged.apiKey = env[entry.apiKeyEnv];
+      if (!merged.type) merged.type = PROVIDER_TYPES.includes(name) ? name : 'openai-compatible';
+      providers[name] = merged;
+    }
+  }
+  for (const [name, p] of Object.entries(providers)) {
+    p.name = name;
+    validateProvider(name, p);
+  }
+
+  // Same auto-detection order as before the registry: OpenRouter, then OpenAI, then the rest
+  const defaultProvider = env.LLM_PROVIDER || fileDefault
+    || ['openrouter', 'openai', 'anthropic', 'openai-compatible'].find((n) => providers[n])
+    || Object.keys(providers)[0]
+    || null;
+  if (defaultProvider && providers[defaultProvider] && env.LLM_MODEL) {
+    providers[defaultProvider].defaultModel = env.LLM_MODEL;
+  }
+  for (const p of Object.values(providers)) {
+    p.models = [...new Set([p.defaultModel, ...(p.models || [])])];
+  }
+  const maxSteps = Number.parseInt(env.LLM_MAX_STEPS, 10) || 10;
+  return { defaultProvider, providers, maxSteps };
+}
+
+let registry = null;
+
+export function getRegistry() {
+  if (!registry) registry = loadProviders();
+  return registry;
+}
+
+// Resolve a provider by name (default provider when omitted); throws when unknown or unconfigured
+export function getProvider(name, registry = getRegistry()) {
+  const { defaultProvider, providers } = registry;
+  const key = name || defaultProvider;
+  if (!key) {
+    throw new Error('No LLM provider configured (set OPENAI_API_KEY, OPENROUTER_API_KEY, ANTHROPIC_API_KEY, OPENAI_COMPAT_BASE_URL or LLM_CONFIG)');
+  }
+  const provider = providers[key];
+  if (!provider) throw new Error(`Unknown LLM provider: ${key}`);
+  return provider;
+}
+
+function hasCredentials(provider) {
+  return provider.type === 'openai-compatible' || provider.type === 'mock' || !!provider.apiKey;
+}
+
+// Anthropic only accepts temperatures up to 1
+function maxTemperature(provider) {
+  return provider.type === 'anthropic' ? 1 : 2;
+}
+
+// Configured providers and their model allowlists for GET /api/models (credentials are never included)
+export function listModels() {
+  const { defaultProvider, providers, maxSteps } = getRegistry();
+  return {
+    defaultProvider,
+    providers: Object.values(providers).map((p) => ({
+      name: p.name,
+      type: p.type,
+      defaultModel: p.defaultModel,
+      models: p.models,
+      available: hasCredentials(p),
+      temperature: { min: 0, max: maxTemperature(p) },
+    })),
+    maxSteps: { min: 1, max: maxSteps, default: Math.min(DEFAULT_MAX_STEPS, maxSteps) },
+  };
+}
+
+// Validate per-request chat options against the registry.
+// Returns { provider, model, temperature, maxSteps } or { error } for a 400 response.
+export function resolveChatOptions({ provider: providerName, model, temperature, maxSteps } = {}, registry = getRegistry()) {
+  const { providers, maxSteps: stepLimit } = registry;
+  if (providerName !== undefined && providerName !== null) {
+    if (typeof providerName !== 'string' || !providers[providerName]) {
+      return { error: `unknown provider: ${providerName}` };
+    }
+  }
+  const provider = getProvider(providerName || undefined, registry);
+  if (model !== undefined && model !== null && !provider.models.includes(model)) {
+    return { error: `model not allowed for provider ${provider.name}: ${model} (allowed: ${provider.models.join(', ')})` };
+  }
+  if (temperature !== undefined && temperature !== null) {
+    const max = maxTemperature(provider);
+    if (typeof temperature !== 'number' || !Number.isFinite(temperature) || temperature < 0 || temperature > max) {
+      return { error: `temperature must be a number between 0 and ${max}` };
+    }
+  }
+  if (maxSteps !== undefined && maxSteps !== null) {
+    if (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > stepLimit) {
+      return { error: `maxSteps must be an integer between 1 and ${stepLimit}` };
+    }
+  }
+  return {
+    provider,
+    model: model || provider.defaultModel,
+    temperature: temperature ?? undefined,
+    maxSteps: maxSteps || Math.min(DEFAULT_MAX_STEPS, stepLimit),
+  };
+}
+
+function requireApiKey(provider) {
+  // Local OpenAI-compatible servers (llama.cpp, Ollama) usually accept any key
+  if (provider.type === 'openai-compatible') return provider.apiKey || 'not-needed';
+  if (!provider.apiKey) {
+    throw new Error(`Missing API key for provider "${provider.name}"${provider.apiKeyEnv ? ` (set ${provider.apiKeyEnv})` : ''}`);
+  }
+  return provider.apiKey;
+}
+
+// OpenAI-style connection settings for the OpenAI-protocol provider types
+function openAIOptions(provider) {
+  if (provider.type === 'openrouter') {
+    return {
+      apiKey: requireApiKey(provider),
+      baseURL: provider.baseURL || OPENROUTER_BASE_URL,
+      headers: {
+        'HTTP-Referer': provider.site || 'http://localhost',
+        'X-Title': provider.app || 'MCP Test',
+      },
+    };
+  }
+  return { apiKey: requireApiKey(provider), baseURL: provider.baseURL, headers: provider.headers };
+}
+
+// AI SDK language model for /api/chat-ai and /api/chat-ai-stream
+export function getAiModel(provider, modelName = provider.defaultModel) {
+  return timedLanguageModel(provider.name, modelName, createLanguageModel(provider, modelName));
+}
+
+function createLanguageModel(provider, modelName) {
+  if (provider.type === 'mock') return createMockLanguageModel(provider, modelName);
+  if (provider.type === 'anthropic') {
+    return createAnthropic({ apiKey: requireApiKey(provider), baseURL: provider.baseURL, headers: provider.headers })(modelName);
+  }
+  const { apiKey, baseURL, headers } = openAIOptions(provider);
+  const compatibility = provider.type === 'openai' && !baseURL ? 'strict' : 'compatible';
+  return createOpenAI({ apiKey, baseURL, headers, compatibility })(modelName);
+}
+
+// Every LLM call (one per step) is counted in /metrics and logged with the current trace id
+function finishLlmCall(provider, model, start, { isError = false, usage } = {}) {
+  const seconds = (performance.now() - start) / 1000;
+  observeLlmCall({ provider, model, isError, seconds, usage });
+  const tokens = usage ? ` ${(usage.promptTokens || 0) + (usage.completionTokens || 0)} tokens` : '';
+  log(`llm ${provider}/${model} ${isError ? 'failed' : 'ok'} in ${Math.round(seconds * 1000)}ms${tokens}`);
+}
+
+function timedLanguageModel(provider, model, languageModel) {
+  return wrapLanguageModel({
+    model: languageModel,
+    middleware: {
+      async wrapGenerate({ doGenerate }) {
+        const start = performance.now();
+        try {
+          const result = await doGenerate();
+          finishLlmCall(provider, model, start, { usage: result.usage });
+          return result;
+        } catch (e) {
+          finishLlmCall(provider, model, start, { isError: true });
+          throw e;
+        }
+      },
+      // the call ends when its stream does; usage arrives with the finish part
+      async wrapStream({ doStream }) {
+        const start = performance.now();
+        let result;
+        try {
+          result = await doStream();
+        } catch (e) {
+          finishLlmCall(provider, model, start, { isError: true });
+          throw e;
+        }
+        let usage;
+        let isError = false;
+        const stream = result.stream.pipeThrough(new TransformStream({
+          transform(part, controller) {
+            if (part.type === 'finish') usage = part.usage;
+            if (part.type === 'error') isError = true;
+            controller.enqueue(part);
+          },
+          flush() {
+            finishLlmCall(provider, model, start, { isError, usage });
+          },
+        }));
+        return { ...result, stream };
+      },
+    },
+  });
+}
+
+// Chat client for the explicit tool loop in /api/chat. Messages and tools use the OpenAI chat format for every
+// provider; complete() resolves to an OpenAI-style assistant message { role, content, tool_calls?, usage } where
+// usage is { promptTokens, completionTokens, totalTokens } as in the AI SDK.
+export function createChatClient(provider) {
+  const client = createProviderChatClient(provider);
+  return {
+    async complete(params) {
+      const start = performance.now();
+      try {
+        const message = await client.complete(params);
+        finishLlmCall(provider.name, params.model, start, { usage: message?.usage });
+        return message;
+      } catch (e) {
+        finishLlmCall(provider.name, params.model, start, { isError: true });
+        throw e;
+      }
+    },
+  };
+}
+
+function createProviderChatClient(provider) {
+  if (provider.type === 'anthropic') return createAnthropicChatClient(provider);
+  if (provider.type === 'mock') return createMockChatClient(provider);
+  const { apiKey, baseURL, headers } = openAIOptions(provider);
+  const openai = new OpenAI({ apiKey, baseURL, defaultHeaders: headers });
+  return {
+    async complete({ model, messages, tools, temperature }) {
+      const completion = await openai.chat.completions.create({ model, messages, tools, tool_choice: 'auto', temperature });
+      const message = completion.choices?.[0]?.message;
+      const u = completion.usage || {};
+      return message
+        ? { ...message, usage: { promptTokens: u.prompt_tokens || 0, completionTokens: u.completion_tokens || 0, totalTokens: u.total_tokens || 0 } }
+        : null;
+    },
+  };
+}
+
+function parseArgs(json) {
+  try {
+    return json ? JSON.parse(json) : {};
+  } catch {
+    return {};
+  }
+}
+
+// OpenAI chat messages → Anthropic { system, messages }. Tool results become tool_result blocks in a user turn,
+// and consecutive messages with the same role are merged since Anthropic requires alternating turns.
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const out = [];
+  const push = (role, blocks) => {
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+  for (const m of messages) {
+    if (m.role === 'system') {
+      system.push(m.content);
+    } else if (m.role === 'user') {
+      push('user', [{ type: 'text', text: m.content || '' }]);
+    } else if (m.role === 'assistant') {
+      const blocks = m.content ? [{ type: 'text', text: m.content }] : [];
+      for (const tc of m.tool_calls || []) {
+        blocks.push({ type: 'tool_use', id: tc.id, name: tc.function?.name, input: parseArgs(tc.function?.arguments) });
+      }
+      if (blocks.length) push('assistant', blocks);
+    } else if (m.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content || '' }]);
+    }
+  }
+  return { system: system.join('\n\n') || undefined, messages: out };
+}
+
+// Anthropic response content blocks → OpenAI-style assistant message
+export function fromAnthropicContent(content) {
+  let text = '';
+  const toolCalls = [];
+  for (const block of content || []) {
+    if (block.type === 'text') text += block.text;
+    else if (block.type === 'tool_use') {
+      toolCalls.push({ id: block.id, type: 'function', function: { name: block.name, arguments: JSON.stringify(block.input || {}) } });
+    }
+  }
+  return { role: 'assistant', content: text, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) };
+}
+
+function createAnthropicChatClient(provider) {
+  // baseURL follows the AI SDK convention (https://api.anthropic.com/v1); the Anthropic SDK appends /v1 itself
+  const baseURL = provider.baseURL ? provider.baseURL.replace(/\/v1\/?$/, '') : undefined;
+  const anthropic = new Anthropic({ apiKey: requireApiKey(provider), baseURL, defaultHeaders: provider.headers });
+  return {
+    async complete({ model, messages, tools, temperature }) {
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+      const response = await anthropic.messages.create({
+        model,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        temperature,
+        system,
+        messages: anthropicMessages,
+        tools: (tools || []).map((t) => ({
+          name: t.function.name,
+          description: t.function.description,
+          input_schema: t.function.parameters,
+        })),
+      });
+      const { input_tokens: promptTokens = 0, output_tokens: completionTokens = 0 } = response.usage || {};
+      return { ...fromAnthropicContent(response.content), usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { entryEvents, getEntry, listEntries } from './db.js';
+
+export const RECENT_URI = 'entries://recent';
+const RESOURCE_PAGE_SIZE = 50;
+const RECENT_DEFAULT_LIMIT = 20;
+
+export const resourceTemplates = [
+  {
+    uriTemplate: 'entries://{id}',
+    name: 'entry',
+    description: 'A single stored entry by id',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'entries://recent{?limit}',
+    name: 'recent-entries',
+    description: `Most recent entries (default ${RECENT_DEFAULT_LIMIT}, max 100)`,
+    mimeType: 'application/json',
+  },
+];
+
+const entryUri = (id) => `entries://${id}`;
+
+function toResource(entry) {
+  return {
+    uri: entryUri(entry.id),
+    name: `Entry ${entry.id}: ${entry.description}`,
+    mimeType: 'application/json',
+  };
+}
+
+function jsonContents(uri, data) {
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data) }] };
+}
+
+function readResource(uri, userId) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (_) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+  }
+  if (url.protocol !== 'entries:') {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+  if (url.host === 'recent') {
+    const limit = Number(url.searchParams.get('limit')) || RECENT_DEFAULT_LIMIT;
+    const { items, total } = listEntries({ page: 1, pageSize: limit, userId });
+    return jsonContents(uri, { items, total });
+  }
+  const id = Number(url.host);
+  const entry = Number.isInteger(id) && id > 0 ? getEntry(id, { userId }) : null;
+  if (!entry) {
+    throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+  }
+  return jsonContents(uri, entry);
+}
+
+// Adds the resources capability handlers to a per-session Server and wires change notifications.
+// A session only sees, and is only notified about, the entries of its user; `requireRead` throws when the
+// session may not read entries.
+export function registerResourceHandlers(server, { userId, requireRead = () => {} } = {}) {
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (req) => {
+    requireRead();
+    const page = Math.max(1, Number(req.params?.cursor) || 1);
+    const { items, pages } = listEntries({ page, pageSize: RESOURCE_PAGE_SIZE, userId });
+    const resources = items.map(toResource);
+    if (page === 1) {
+      resources.unshift({ uri: RECENT_URI, name: 'Recent entries', mimeType: 'application/json' });
+    }
+    return page < pages ? { resources, nextCursor: String(page + 1) } : { resources };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+    requireRead();
+    return readResource(req.params.uri, userId);
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    requireRead();
+    subscriptions.add(req.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    subscriptions.delete(req.params.uri);
+    return {};
+  });
+
+  const onChange = ({ action, entries, userId: owner }) => {
+    if (userId !== undefined && owner !== userId) return;
+    const notify = (uri) => server.sendResourceUpdated({ uri }).catch(() => {});
+    const changed = new Set(entries.map((e) => entryUri(e.id)));
+    for (const uri of subscriptions) {
+      if (changed.has(uri) || uri === RECENT_URI || uri.startsWith(`${RECENT_URI}?`)) notify(uri);
+    }
+    if (action !== 'update') {
+      server.sendResourceListChanged().catch(() => {});
+    }
+  };
+  entryEvents.on('change', onChange);
+
+  const prevOnClose = server.onclose;
+  server.onclose = () => {
+    entryEvents.off('change', onChange);
+    subscriptions.clear();
+    if (prevOnClose) prevOnClose();
+  };
+}
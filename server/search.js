@@ -0,0 +1,48 @@
+import { ENTRY_SORTS, ftsQuery } from './db.js';
+import { parseRange } from './time.js';
+
+// Filters of GET /api/entries and the MCP `list`/`search` tools, validated into listEntries() options
+
+export const SORT_ORDERS = ['asc', 'desc'];
+
+// Integers may arrive as query-string text; returns the number, undefined when absent, or NaN when invalid
+function integerArg(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) return Number(value);
+  return Number.isSafeInteger(value) ? value : NaN;
+}
+
+// Returns { error } or { options }. `defaultSort` is `relevance` for search, where `q` is the point of the call.
+export function parseListArgs(args = {}, { defaultSort = 'created_at' } = {}) {
+  const { from, to, range: rangeName, timezone, q, sort, order = 'desc', page, pageSize } = args;
+  const minValue = integerArg(args.minValue);
+  const maxValue = integerArg(args.maxValue);
+  if (Number.isNaN(minValue)) return { error: 'minValue must be an integer' };
+  if (Number.isNaN(maxValue)) return { error: 'maxValue must be an integer' };
+  if (minValue !== undefined && maxValue !== undefined && minValue > maxValue) {
+    return { error: 'minValue must not be greater than maxValue' };
+  }
+  if (q !== undefined && q !== '' && (typeof q !== 'string' || !ftsQuery(q))) {
+    return { error: 'q must contain at least one word' };
+  }
+  const text = q || undefined;
+  const sortKey = sort || (text ? defaultSort : 'created_at');
+  if (!ENTRY_SORTS.includes(sortKey)) return { error: `sort must be one of: ${ENTRY_SORTS.join(', ')}` };
+  if (sortKey === 'relevance' && !text) return { error: 'sort=relevance needs a search query' };
+  if (!SORT_ORDERS.includes(order)) return { error: `order must be one of: ${SORT_ORDERS.join(', ')}` };
+  const range = parseRange({ from, to, range: rangeName, timezone: timezone || undefined });
+  if (range.error) return { error: range.error };
+  return {
+    options: {
+      page: Number(page) || 1,
+      pageSize: Number(pageSize) || 10,
+      from: range.from,
+      to: range.to,
+      q: text,
+      minValue,
+      maxValue,
+      sort: sortKey,
+      order,
+    },
+  };
+}
@@ -0,0 +1,83 @@
+import { getDb, rangeWhere } from './db.js';
+import { BUCKETS, bucketKey, parseRange, parseTimestamp } from './time.js';
+
+export const STAT_METRICS = ['count', 'sum', 'avg', 'min', 'max'];
+
+// Validate raw args (from MCP or query string) into stats options; returns { error } or { options }
+export function parseStatsArgs(args = {}) {
+  const { from, to, range: rangeName, groupBy, timezone = 'UTC', byDescription = false } = args;
+  let { metrics } = args;
+  if (typeof metrics === 'string') metrics = metrics.split(',').map((m) => m.trim()).filter(Boolean);
+  if (metrics === undefined || (Array.isArray(metrics) && metrics.length === 0)) metrics = STAT_METRICS;
+  if (!Array.isArray(metrics) || metrics.some((m) => !STAT_METRICS.includes(m))) {
+    return { error: `metrics must be a subset of: ${STAT_METRICS.join(', ')}` };
+  }
+  if (groupBy !== undefined && groupBy !== '' && !BUCKETS.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${BUCKETS.join(', ')}` };
+  }
+  const range = parseRange({ from, to, range: rangeName, timezone });
+  if (range.error) return { error: range.error };
+  return {
+    options: {
+      from: range.from,
+      to: range.to,
+      groupBy: groupBy || undefined,
+      timezone,
+      byDescription: byDescription === true || byDescription === 'true' || byDescription === '1',
+      metrics,
+    },
+  };
+}
+
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Aggregate entries into a table: one row per (bucket?, description?) group
+export function statsEntries({ from, to, userId, groupBy, timezone = 'UTC', byDescription = false, metrics = STAT_METRICS }) {
+  const { sql, params } = rangeWhere({ from, to, userId });
+  const rows = getDb()
+    .prepare(`SELECT value, description, created_at_ms FROM entries WHERE ${sql} ORDER BY created_at_ms ASC`)
+    .all(...params);
+
+  const groups = new Map();
+  for (const r of rows) {
+    const bucket = groupBy ? bucketKey(r.created_at_ms, groupBy, timezone) : undefined;
+    const description = byDescription ? r.description : undefined;
+    const key = JSON.stringify([bucket, description]);
+    let g = groups.get(key);
+    if (!g) {
+      g = { bucket, description, count: 0, sum: 0, min: Infinity, max: -Infinity };
+      groups.set(key, g);
+    }
+    g.count++;
+    g.sum += r.value;
+    g.min = Math.min(g.min, r.value);
+    g.max = Math.max(g.max, r.value);
+  }
+  // An ungrouped query over no rows still yields a single zero row
+  if (!groupBy && !byDescription && groups.size === 0) {
+    groups.set('', { count: 0, sum: 0, min: null, max: null });
+  }
+
+  const columns = [...(groupBy ? ['bucket'] : []), ...(byDescription ? ['description'] : []), ...metrics];
+  const table = [...groups.values()]
+    .sort((a, b) => String(a.bucket ?? '').localeCompare(String(b.bucket ?? '')) || String(a.description ?? '').localeCompare(String(b.description ?? '')))
+    .map((g) => {
+      const values = {
+        count: g.count,
+        sum: g.sum,
+        avg: g.count ? round(g.sum / g.count) : null,
+        min: g.count ? g.min : null,
+        max: g.count ? g.max : null,
+      };
+      const row = {};
+      if (groupBy) row.bucket = g.bucket;
+      if (byDescription) row.description = g.description;
+      for (const m of metrics) row[m] = values[m];
+      return row;
+    });
+
+  const iso = (v) => (v === undefined || v === null || v === '' ? null : new Date(parseTimestamp(v)).toISOString());
+  return { from: iso(from), to: iso(to), groupBy: groupBy || null, timezone, columns, rows: table };
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { initDb } from './db.js';
+import { createMcpServer } from './mcp.js';
+import { DEFAULT_USER_ID, getUserByName } from './users.js';
+
+// stdout carries the JSON-RPC stream; route all logging to stderr
+console.log = console.error;
+console.info = console.error;
+
+dotenv.config({ quiet: true });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const { values } = parseArgs({
+  options: {
+    db: { type: 'string' },
+    // the user whose entries this process serves (default: the built-in admin)
+    user: { type: 'string' },
+  },
+});
+
+const DB_PATH = values.db || process.env.DB_PATH || path.join(__dirname, '..', 'data.sqlite');
+
+async function run() {
+  initDb(DB_PATH);
+  const userName = values.user || process.env.MCP_USER;
+  const user = userName ? getUserByName(userName) : null;
+  if (userName && !user) throw new Error(`Unknown user: ${userName}`);
+  const server = createMcpServer({ userId: user ? user.id : DEFAULT_USER_ID, audit: true });
+  await server.connect(new StdioServerTransport());
+  console.error(`MCP stdio server running (db: ${DB_PATH}, user: ${user ? user.name : 'admin'})`);
+}
+
+run().catch((e) => {
+  console.error('stdio server failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, readEvents } from './helpers/server.js';
+
+// Confirm/deny tool policies over HTTP: runs pause at confirm calls and resume with the user's decisions.
+
+let server;
+
+before(async () => {
+  server = await startServer({ TOOL_POLICIES: 'store=confirm,update=confirm,delete=confirm,restore=confirm,stats=deny' });
+});
+
+after(() => {
+  server?.stop();
+});
+
+async function entryTotal() {
+  return (await (await server.get('/api/entries')).json()).total;
+}
+
+for (const route of ['/api/chat', '/api/chat-ai']) {
+  test(`${route} pauses at a confirm tool and resumes after approval`, async () => {
+    const before = await entryTotal();
+    const paused = await (await server.post(route, { message: 'store and sum' })).json();
+    assert.equal(paused.status, 'awaiting_approval');
+    assert.equal(typeof paused.conversationId, 'number');
+    const [call] = paused.pendingToolCalls;
+    assert.equal(call.toolName, 'store');
+    assert.deepEqual(call.args, { value: 7, description: 'mock demo' });
+    assert.equal(await entryTotal(), before);
+
+    const blocked = await server.post(route, { conversationId: paused.conversationId, message: 'hello' });
+    assert.equal(blocked.status, 409);
+
+    const r = await server.post(route, {
+      conversationId: paused.conversationId,
+      approvals: [{ toolCallId: call.toolCallId, action: 'approve' }],
+    });
+    assert.equal(r.status, 200);
+    const j = await r.json();
+    assert.equal(j.status, undefined);
+    assert.match(j.content, /^Stored 7\. Sum today:/);
+    assert.deepEqual(j.toolLogs.map((t) => [t.name, t.approval]), [['store', 'approve'], ['sum', undefined]]);
+    assert.equal(await entryTotal(), before + 1);
+  });
+}
+
+for (const route of ['/api/chat', '/api/chat-ai', '/api/chat-ai-stream']) {
+  test(`${route} stores approved results before the next LLM call, so a failed run cannot repeat them`, async () => {
+    const before = await entryTotal();
+    const paused = await (await server.post('/api/chat', { message: 'store then fail' })).json();
+    const approvals = [{ toolCallId: paused.pendingToolCalls[0].toolCallId, action: 'approve' }];
+
+    const r = await server.post(route, { conversationId: paused.conversationId, approvals });
+    assert.equal(r.status, 500);
+    assert.match((await r.json()).detail, /mock provider failure after approval/);
+    assert.equal(await entryTotal(), before + 1);
+
+    const again = await server.post(route, { conversationId: paused.conversationId, approvals });
+    assert.equal(again.status, 409);
+    assert.equal(await entryTotal(), before + 1);
+    const { messages } = await (await server.get(`/api/conversations/${paused.conversationId}`)).json();
+    assert.equal(messages.at(-1).role, 'tool');
+  });
+}
+
+test('streaming runs emit approval-required and resume with edited arguments', async () => {
+  const events = await readEvents(await server.post('/api/chat-ai-stream', { message: 'store and sum' }));
+  const names = events.map((e) => e.event);
+  assert.deepEqual(names.slice(-3), ['approval-required', 'finish', 'end']);
+  const { conversationId, toolCalls } = events.find((e) => e.event === 'approval-required').data;
+  assert.equal(toolCalls[0].toolName, 'store');
+  assert.ok(!names.includes('tool-result'));
+
+  const resumed = await readEvents(await server.post('/api/chat-ai-stream', {
+    conversationId,
+    approvals: [{ toolCallId: toolCalls[0].toolCallId, action: 'edit', args: { value: 8, description: 'edited' } }],
+  }));
+  assert.equal(resumed[0].event, 'tool-result');
+  assert.equal(resumed[0].data.step, 0);
+  assert.match(resumed[0].data.output, /^Executed with user-edited arguments \{"value":8,"description":"edited"\}: /);
+  assert.equal(resumed.at(-1).event, 'end');
+
+  const latest = (await (await server.get('/api/entries')).json()).items[0];
+  assert.equal(latest.value, 8);
+  assert.equal(latest.description, 'edited');
+});
+
+test('rejected calls are returned to the model as errors and stored', async () => {
+  const paused = await (await server.post('/api/chat', { message: 'store and sum' })).json();
+  const [call] = paused.pendingToolCalls;
+  const j = await (await server.post('/api/chat', {
+    conversationId: paused.conversationId,
+    approvals: [{ toolCallId: call.toolCallId, action: 'reject', reason: 'not now' }],
+  })).json();
+  assert.deepEqual(j.toolLogs[0], { name: 'store', args: call.args, output: 'Rejected by user: not now', isError: true, approval: 'reject' });
+
+  const stored = await (await server.get(`/api/conversations/${paused.conversationId}`)).json();
+  const result = stored.messages.find((m) => m.role === 'tool' && m.toolCallId === call.toolCallId);
+  assert.equal(result.isError, true);
+  assert.equal(result.content, 'Rejected by user: not now');
+});
+
+test('denied tools are not run', async () => {
+  const j = await (await server.post('/api/chat', { message: 'list twice' })).json();
+  assert.deepEqual(j.toolLogs.map((t) => [t.name, t.isError]), [['list', false], ['stats', true]]);
+  assert.equal(j.toolLogs[1].output, 'Tool stats is denied by policy');
+});
+
+test('approvals are validated against the pending calls', async () => {
+  assert.equal((await server.post('/api/chat', { approvals: [] })).status, 400);
+  const conv = await (await server.post('/api/conversations', {})).json();
+  const none = await server.post('/api/chat', { conversationId: conv.id, approvals: [{ toolCallId: 'x', action: 'approve' }] });
+  assert.equal(none.status, 409);
+
+  const paused = await (await server.post('/api/chat-ai', { message: 'store and sum' })).json();
+  const id = paused.conversationId;
+  const toolCallId = paused.pendingToolCalls[0].toolCallId;
+  assert.equal((await server.post('/api/chat-ai', { conversationId: id, approvals: [{ toolCallId: 'other', action: 'approve' }] })).status, 400);
+  assert.equal((await server.post('/api/chat-ai', { conversationId: id, approvals: [{ toolCallId, action: 'maybe' }] })).status, 400);
+  assert.equal((await server.post('/api/chat-ai', { conversationId: id, approvals: [{ toolCallId, action: 'edit', args: 5 }] })).status, 400);
+});
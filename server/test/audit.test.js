@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startServer, readEvents } from './helpers/server.js';
+
+// Audit log over HTTP: tool calls from REST, MCP sessions and chat runs are recorded and filterable.
+
+let server;
+
+before(async () => {
+  server = await startServer({ TOOL_POLICIES: '*=auto' });
+});
+
+after(() => {
+  server?.stop();
+});
+
+async function audit(query = '') {
+  const r = await server.get(`/api/audit${query}`);
+  assert.equal(r.status, 200);
+  return (await r.json()).items;
+}
+
+test('REST tool routes are recorded with args, result and errors', async () => {
+  await server.post('/api/tools/store', { value: 3, description: 'audited' });
+  await server.post('/api/tools/store', { value: 'x', description: 'bad' });
+  await server.get('/api/tools/sum?range=today');
+
+  const items = await audit('?source=rest');
+  assert.deepEqual(items.map((a) => [a.tool, a.isError]), [['sum', false], ['store', true], ['store', false]]);
+  const [sum, failed, stored] = items;
+  assert.deepEqual(stored.args, { value: 3, description: 'audited' });
+  assert.equal(JSON.parse(stored.result).description, 'audited');
+  assert.match(failed.result, /value must be an integer/);
+  assert.equal(JSON.parse(sum.result).total, 3);
+  assert.equal(stored.userName, 'admin');
+  assert.ok(stored.durationMs >= 0);
+});
+
+test('chat runs and MCP sessions are recorded with their ids', async () => {
+  const conv = await (await server.post('/api/conversations', {})).json();
+  await server.post('/api/chat', { conversationId: conv.id, message: 'store and sum' });
+  const chat = await audit(`?conversationId=${conv.id}`);
+  assert.deepEqual(chat.map((a) => [a.source, a.tool]), [['chat', 'sum'], ['chat', 'store']]);
+
+  const client = new Client({ name: 'audit-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`));
+  await client.connect(transport);
+  try {
+    await client.callTool({ name: 'update', arguments: { id: 9999, value: 1 } });
+    const [call] = await audit(`?sessionId=${transport.sessionId}`);
+    assert.equal(call.source, 'mcp');
+    assert.equal(call.tool, 'update');
+    assert.equal(call.isError, true);
+    assert.equal(call.result, 'Entry 9999 not found');
+  } finally {
+    await client.close();
+  }
+
+  assert.deepEqual((await audit('?isError=true')).map((a) => a.source), ['mcp', 'rest']);
+  assert.equal((await audit('?tool=sum&range=today')).length, 2);
+  assert.equal((await server.get('/api/audit?source=cron')).status, 400);
+});
+
+test('tool calls of a new run that pauses are recorded with its new conversation', async () => {
+  const paused = await startServer({ TOOL_POLICIES: 'sum=confirm' });
+  try {
+    // runs that do not pause store nothing
+    for (const route of ['/api/chat', '/api/chat-ai']) {
+      assert.equal((await (await paused.post(route, { message: 'hi' })).json()).conversationId, null, route);
+    }
+    assert.deepEqual((await (await paused.get('/api/conversations')).json()).items, []);
+
+    for (const route of ['/api/chat', '/api/chat-ai', '/api/chat-ai-stream']) {
+      const r = await paused.post(route, { message: 'store and sum' });
+      const conversationId = route.endsWith('stream')
+        ? (await readEvents(r)).find((e) => e.event === 'approval-required').data.conversationId
+        : (await r.json()).conversationId;
+      assert.equal(typeof conversationId, 'number', route);
+      const items = (await (await paused.get(`/api/audit?conversationId=${conversationId}`)).json()).items;
+      assert.deepEqual(items.map((a) => [a.source, a.tool, a.conversationId]), [['chat', 'store', conversationId]], route);
+    }
+  } finally {
+    paused.stop();
+  }
+});
@@ -0,0 +1,185 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startServer } from './helpers/server.js';
+
+// Users and API tokens over HTTP: MCP_AUTH_TOKEN is the admin token, and each user only sees their own data.
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+let server;
+let alice;
+let bob;
+
+async function json(response) {
+  assert.ok(response.ok, `HTTP ${response.status}`);
+  return response.json();
+}
+
+async function userWithToken(name, tokenBody = {}) {
+  const user = await json(await server.post('/api/admin/users', { name }, ADMIN));
+  const { token } = await json(await server.post(`/api/admin/users/${user.id}/tokens`, { name: 'test', ...tokenBody }, ADMIN));
+  return { user, token, headers: { Authorization: `Bearer ${token}` } };
+}
+
+before(async () => {
+  server = await startServer({ MCP_AUTH_TOKEN: 'admin-secret', TOOL_POLICIES: '*=auto' });
+  alice = await userWithToken('alice');
+  bob = await userWithToken('bob');
+});
+
+after(() => {
+  server?.stop();
+});
+
+test('requests without a valid token are rejected', async () => {
+  assert.equal((await server.get('/api/entries')).status, 401);
+  assert.equal((await server.get('/api/entries', { Authorization: 'Bearer mcp_nope' })).status, 401);
+  assert.equal((await server.get('/sse')).status, 401);
+  assert.deepEqual(await json(await server.get('/api/me', alice.headers)), { ...alice.user, scopes: ['entries:read', 'entries:write'] });
+});
+
+test('REST entries are scoped to the caller', async () => {
+  const entry = await json(await server.post('/api/tools/store', { value: 5, description: 'alice only' }, alice.headers));
+  await json(await server.post('/api/tools/store', { value: 2, description: 'bob only' }, bob.headers));
+
+  const bobsList = await json(await server.get('/api/entries', bob.headers));
+  assert.deepEqual(bobsList.items.map((e) => e.description), ['bob only']);
+  const aliceSum = await json(await server.get('/api/tools/sum?range=today', alice.headers));
+  assert.equal(aliceSum.total, 5);
+
+  const patch = await fetch(`${server.baseUrl}/api/entries/${entry.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...bob.headers },
+    body: JSON.stringify({ value: 0 }),
+  });
+  assert.equal(patch.status, 404);
+
+  const bobsAudit = await json(await server.get('/api/audit', bob.headers));
+  assert.deepEqual(bobsAudit.items.map((a) => [a.userName, a.tool]), [['bob', 'store']]);
+  const adminAudit = await json(await server.get(`/api/audit?userId=${alice.user.id}`, ADMIN));
+  assert.deepEqual(adminAudit.items.map((a) => [a.userName, a.tool]), [['alice', 'sum'], ['alice', 'store']]);
+});
+
+test('chat runs and conversations belong to the caller', async () => {
+  const j = await json(await server.post('/api/chat', { message: 'store and sum' }, bob.headers));
+  const sum = JSON.parse(j.toolLogs[1].output);
+  assert.equal(sum.total, 2 + 7);
+  assert.equal((await json(await server.get('/api/tools/sum?range=today', alice.headers))).total, 5);
+
+  const conv = await json(await server.post('/api/conversations', {}, alice.headers));
+  assert.equal((await server.get(`/api/conversations/${conv.id}`, bob.headers)).status, 404);
+  assert.equal((await server.post('/api/chat', { conversationId: conv.id, message: 'hi' }, bob.headers)).status, 404);
+  const bobsConversations = await json(await server.get('/api/conversations', bob.headers));
+  assert.ok(!bobsConversations.items.some((c) => c.id === conv.id));
+});
+
+test('MCP sessions act as the token user', async () => {
+  const client = new Client({ name: 'auth-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`), { requestInit: { headers: alice.headers } });
+  await client.connect(transport);
+  try {
+    const res = await client.callTool({ name: 'list', arguments: {} });
+    const { items } = JSON.parse(res.content[0].text);
+    assert.deepEqual(items.map((e) => e.description), ['alice only']);
+
+    // the session cannot be used with another user's token
+    const hijack = await fetch(`${server.baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'mcp-session-id': transport.sessionId, ...bob.headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 99, method: 'tools/list', params: {} }),
+    });
+    assert.equal(hijack.status, 403);
+
+    // nor with a read-only token of the same user
+    const { token } = await json(await server.post(`/api/admin/users/${alice.user.id}/tokens`, { scopes: ['entries:read'] }, ADMIN));
+    const readOnly = await fetch(`${server.baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'mcp-session-id': transport.sessionId, Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 100, method: 'tools/call', params: { name: 'store', arguments: { value: 1, description: 'x' } } }),
+    });
+    assert.equal(readOnly.status, 403);
+  } finally {
+    await client.close();
+  }
+});
+
+test('read-only tokens can only use read tools and routes', async () => {
+  const dash = await userWithToken('dash', { scopes: ['entries:read'] });
+  assert.equal((await server.post(`/api/admin/users/${dash.user.id}/tokens`, { scopes: ['entries:drop'] }, ADMIN)).status, 400);
+
+  assert.equal((await server.post('/api/tools/store', { value: 1, description: 'x' }, dash.headers)).status, 403);
+  assert.equal((await json(await server.get('/api/tools/sum?range=today', dash.headers))).total, 0);
+
+  const client = new Client({ name: 'auth-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`), { requestInit: { headers: dash.headers } }));
+  try {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map((t) => t.name).sort(), ['export', 'list', 'search', 'stats', 'sum']);
+    await assert.rejects(client.callTool({ name: 'store', arguments: { value: 1, description: 'x' } }), /lacks the entries:write scope/);
+  } finally {
+    await client.close();
+  }
+
+  const j = await json(await server.post('/api/chat', { message: 'store and sum' }, dash.headers));
+  // store is not offered to the model, so the scripted call fails
+  assert.match(j.toolLogs[0].output, /Unknown tool/);
+});
+
+test('admin routes require an admin and revoked tokens stop working', async () => {
+  assert.equal((await server.get('/api/admin/users', alice.headers)).status, 403);
+  const { items } = await json(await server.get('/api/admin/users', ADMIN));
+  assert.deepEqual(items.map((u) => [u.name, u.activeTokens]), [['admin', 0], ['alice', 2], ['bob', 1], ['dash', 1]]);
+  assert.equal((await server.post('/api/admin/users', { name: 'alice' }, ADMIN)).status, 409);
+
+  const carol = await userWithToken('carol');
+  const [token] = await json(await server.get(`/api/admin/users/${carol.user.id}/tokens`, ADMIN)).then((j) => j.items);
+  assert.equal(token.token, undefined);
+  const revoke = await fetch(`${server.baseUrl}/api/admin/tokens/${token.id}`, { method: 'DELETE', headers: ADMIN });
+  assert.equal(revoke.status, 200);
+  assert.equal((await server.get('/api/entries', carol.headers)).status, 401);
+});
+
+test('admin routes reject tokens without every scope', async () => {
+  const root = await json(await server.post('/api/admin/users', { name: 'root', isAdmin: true }, ADMIN));
+  const { token } = await json(await server.post(`/api/admin/users/${root.id}/tokens`, { scopes: ['entries:read'] }, ADMIN));
+  const readOnly = { Authorization: `Bearer ${token}` };
+  const issue = await server.post(`/api/admin/users/${root.id}/tokens`, { scopes: ['entries:read', 'entries:write'] }, readOnly);
+  assert.equal(issue.status, 403);
+  assert.match((await issue.json()).error, /lacks the entries:write scope/);
+  assert.equal((await server.get('/api/admin/users', readOnly)).status, 403);
+  assert.equal((await json(await server.get(`/api/admin/users/${root.id}/tokens`, ADMIN))).items.length, 1);
+});
+
+test('SSE sessions are bound to their token, and revoking it closes its MCP sessions', { timeout: 10_000 }, async () => {
+  const erin = await userWithToken('erin');
+  const rpc = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'auth-test', version: '1.0.0' } } };
+  const sse = await fetch(`${server.baseUrl}/sse?token=${erin.token}`);
+  const reader = sse.body.getReader();
+  let text = '';
+  while (!text.includes('\n\n')) text += new TextDecoder().decode((await reader.read()).value);
+  const endpoint = /data: (.+)/.exec(text)[1];
+  assert.match(endpoint, /^\/messages\?token=mcp_.+&sessionId=/);
+  const sessionId = new URL(endpoint, server.baseUrl).searchParams.get('sessionId');
+
+  assert.equal((await server.post(endpoint, rpc)).status, 202);
+  assert.equal((await server.post(`/messages?sessionId=${sessionId}`, rpc, bob.headers)).status, 403);
+  assert.equal((await server.post(`/messages?sessionId=${sessionId}`, rpc)).status, 401);
+
+  const client = new Client({ name: 'auth-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`), { requestInit: { headers: erin.headers } }));
+  const open = async () => {
+    const metrics = await (await server.get('/metrics', ADMIN)).text();
+    return [...metrics.matchAll(/mcp_sessions\{transport="([^"]+)"\} (\d+)/g)].map((m) => [m[1], Number(m[2])]);
+  };
+  const before = await open();
+
+  const [token] = await json(await server.get(`/api/admin/users/${erin.user.id}/tokens`, ADMIN)).then((j) => j.items);
+  assert.equal((await fetch(`${server.baseUrl}/api/admin/tokens/${token.id}`, { method: 'DELETE', headers: ADMIN })).status, 200);
+  // the server ends the SSE stream
+  while (!(await reader.read()).done);
+  assert.equal((await server.post(endpoint, rpc)).status, 401);
+  await client.close();
+  assert.deepEqual(await open(), before.map(([transport, n]) => [transport, n - 1]));
+});
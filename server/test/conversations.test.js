@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from '../db.js';
+import {
+  appendMessages,
+  createConversation,
+  deleteConversation,
+  fromCoreMessages,
+  fromOpenAIMessages,
+  getConversation,
+  getMessages,
+  toCoreMessages,
+  toOpenAIMessages,
+} from '../conversations.js';
+
+const turn = [
+  { role: 'user', content: 'sum today' },
+  { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'sum', args: { range: 'today' } }] },
+  { role: 'tool', content: '{"total":3}', toolCallId: 'call_1', toolName: 'sum' },
+  { role: 'assistant', content: 'The total is 3.' },
+];
+
+before(() => {
+  initDb(':memory:');
+});
+
+test('stores messages and titles the conversation after the first user message', () => {
+  const { id } = createConversation();
+  appendMessages(id, turn);
+  assert.equal(getConversation(id).title, 'sum today');
+  const stored = getMessages(id).map(({ id: _id, createdAt: _at, ...m }) => m);
+  assert.deepEqual(stored, turn);
+});
+
+test('deleting a conversation removes its messages', () => {
+  const { id } = createConversation({ title: 'tmp' });
+  appendMessages(id, turn);
+  assert.equal(deleteConversation(id), true);
+  assert.equal(getConversation(id), null);
+  assert.deepEqual(getMessages(id), []);
+});
+
+test('round-trips through OpenAI chat messages', () => {
+  const openai = toOpenAIMessages(turn);
+  assert.equal(openai[1].tool_calls[0].function.arguments, '{"range":"today"}');
+  assert.equal(openai[2].tool_call_id, 'call_1');
+  assert.deepEqual(fromOpenAIMessages(openai), turn);
+});
+
+test('round-trips through AI SDK core messages', () => {
+  const core = toCoreMessages(turn);
+  assert.deepEqual(core[1].content, [{ type: 'tool-call', toolCallId: 'call_1', toolName: 'sum', args: { range: 'today' } }]);
+  assert.equal(core[2].content[0].type, 'tool-result');
+  assert.deepEqual(fromCoreMessages(core), turn.map((m) => (m.role === 'tool' ? { ...m, isError: false } : m)));
+});
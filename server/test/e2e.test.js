@@ -0,0 +1,176 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpPool, loadMcpServers } from '../mcp-clients.js';
+import { startServer, readEvents } from './helpers/server.js';
+
+// Offline end-to-end suite: boots index.js on a temp DB with the mock LLM provider (fixtures/mock-llm.json)
+// and exercises the chat routes, their tool loops and streaming output. Every tool runs without approval here;
+// test/approvals.test.js covers the confirm/deny policies.
+
+let server;
+let baseUrl;
+let post;
+
+before(async () => {
+  server = await startServer({ TOOL_POLICIES: '*=auto' });
+  ({ baseUrl, post } = server);
+});
+
+after(() => {
+  server?.stop();
+});
+
+test('GET /api/models reports the mock provider', async () => {
+  const j = await (await fetch(`${baseUrl}/api/models`)).json();
+  assert.equal(j.defaultProvider, 'mock');
+  assert.deepEqual(j.providers.find((p) => p.name === 'mock').models, ['mock-1', 'mock-2']);
+});
+
+for (const route of ['/api/chat', '/api/chat-ai']) {
+  test(`${route} runs the tool loop and returns toolLogs`, async () => {
+    const r = await post(route, { message: 'store and sum' });
+    assert.equal(r.status, 200);
+    const j = await r.json();
+    assert.equal(j.provider, 'mock');
+    assert.equal(j.model, 'mock-1');
+    assert.deepEqual(j.toolLogs.map((t) => t.name), ['store', 'sum']);
+    assert.equal(j.toolLogs[0].isError, false);
+    const stored = JSON.parse(j.toolLogs[0].output);
+    assert.equal(stored.value, 7);
+    assert.match(j.content, /^Stored 7\. Sum today: \{"total":\d+/);
+  });
+
+  test(`${route} reports failed tool calls and lets the model continue`, async () => {
+    const j = await (await post(route, { message: 'update missing' })).json();
+    assert.equal(j.toolLogs.length, 1);
+    assert.equal(j.toolLogs[0].isError, true);
+    assert.equal(j.toolLogs[0].output, 'Entry 999999 not found');
+    assert.match(j.content, /Entry 999999 not found/);
+  });
+
+  test(`${route} executes several tool calls from one step`, async () => {
+    const j = await (await post(route, { message: 'list twice', model: 'mock-2' })).json();
+    assert.equal(j.model, 'mock-2');
+    assert.deepEqual(j.toolLogs.map((t) => t.name), ['list', 'stats']);
+    assert.equal(j.content.endsWith('Done listing.'), true);
+  });
+
+  test(`${route} returns 500 when the provider fails`, async () => {
+    const r = await post(route, { message: 'explode' });
+    assert.equal(r.status, 500);
+    const j = await r.json();
+    assert.match(j.detail, /mock provider failure/);
+  });
+
+  test(`${route} validates the request`, async () => {
+    assert.equal((await post(route, {})).status, 400);
+    assert.equal((await post(route, { message: 'hi', model: 'gpt-4o' })).status, 400);
+    assert.equal((await post(route, { message: 'hi', maxSteps: 0 })).status, 400);
+    assert.equal((await post(route, { message: 'hi', conversationId: 999999 })).status, 404);
+  });
+}
+
+test('/api/chat stops after maxSteps model calls', async () => {
+  const j = await (await post('/api/chat', { message: 'store and sum', maxSteps: 2 })).json();
+  assert.equal(j.content, '(stopped after max tool iterations)');
+  assert.deepEqual(j.toolLogs.map((t) => t.name), ['store']);
+});
+
+test('/api/chat-ai-stream emits typed step, tool and text events', async () => {
+  const r = await post('/api/chat-ai-stream', { message: 'store and sum' });
+  assert.equal(r.headers.get('content-type'), 'text/event-stream');
+  const events = await readEvents(r);
+  const names = events.map((e) => e.event);
+  assert.deepEqual(names.filter((n) => n !== 'text-delta'), [
+    'step-start', 'tool-call', 'tool-result', 'usage',
+    'step-start', 'tool-call', 'tool-result', 'usage',
+    'step-start', 'usage', 'finish', 'end',
+  ]);
+  const call = events.find((e) => e.event === 'tool-call');
+  assert.deepEqual(call.data, { step: 1, toolCallId: call.data.toolCallId, toolName: 'store', args: { value: 7, description: 'mock demo' } });
+  const result = events.find((e) => e.event === 'tool-result');
+  assert.equal(result.data.toolCallId, call.data.toolCallId);
+  assert.equal(result.data.isError, false);
+  const text = events.filter((e) => e.event === 'text-delta').map((e) => e.data.text).join('');
+  assert.match(text, /^Stored 7\. Sum today:/);
+  const finish = events.find((e) => e.event === 'finish').data;
+  assert.equal(finish.finishReason, 'stop');
+  assert.equal(finish.usage.totalTokens, 45);
+  assert.equal(finish.provider, 'mock');
+});
+
+test('/api/chat-ai?stream=1 streams the same protocol', async () => {
+  const events = await readEvents(await post('/api/chat-ai?stream=1', { message: 'hello' }));
+  assert.deepEqual(events.map((e) => e.event), ['step-start', 'text-delta', 'text-delta', 'text-delta', 'text-delta', 'text-delta', 'usage', 'finish', 'end']);
+});
+
+test('streaming surfaces provider errors mid-run as error events', async () => {
+  const events = await readEvents(await post('/api/chat-ai-stream', { message: 'fail after tool' }));
+  const error = events.find((e) => e.event === 'error');
+  assert.match(error.data.message, /mock provider failure after tool/);
+  assert.equal(events.at(-1).event, 'end');
+});
+
+test('chat turns are stored in the conversation with their tool calls', async () => {
+  const conv = await (await post('/api/conversations', {})).json();
+  const events = await readEvents(await post('/api/chat-ai-stream', { conversationId: conv.id, message: 'store and sum' }));
+  assert.equal(events.at(-1).data.conversationId, conv.id);
+  await post('/api/chat', { conversationId: conv.id, message: 'update missing' });
+
+  const stored = await (await fetch(`${baseUrl}/api/conversations/${conv.id}`)).json();
+  assert.equal(stored.title, 'store and sum');
+  const roles = stored.messages.map((m) => m.role);
+  assert.deepEqual(roles, ['user', 'assistant', 'tool', 'assistant', 'tool', 'assistant', 'user', 'assistant', 'tool', 'assistant']);
+  assert.deepEqual(stored.messages[1].toolCalls.map((c) => c.name), ['store']);
+  assert.equal(stored.messages[8].content, 'Entry 999999 not found');
+});
+
+// Open Streamable HTTP sessions, from /metrics
+async function sessions() {
+  const text = await (await fetch(`${baseUrl}/metrics`)).text();
+  return Number(/mcp_sessions\{transport="streamable-http"\} (\d+)/.exec(text)[1]);
+}
+
+test('Streamable HTTP /mcp: initialize, tool calls on the session, DELETE', async () => {
+  const headers = { Accept: 'application/json, text/event-stream' };
+  const rpc = (body, sessionId) => post('/mcp', body, { ...headers, ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}) });
+  const open = await sessions();
+
+  const init = await rpc({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'e2e', version: '1.0.0' } },
+  });
+  assert.equal(init.status, 200);
+  const sessionId = init.headers.get('mcp-session-id');
+  assert.ok(sessionId);
+  assert.equal((await readEvents(init))[0].data.result.serverInfo.name, 'mcp-sqlite-server');
+  assert.equal((await rpc({ jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId)).status, 202);
+
+  const call = async (id, args) => {
+    const r = await rpc({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'store', arguments: args } }, sessionId);
+    assert.equal(r.status, 200);
+    return JSON.parse((await readEvents(r))[0].data.result.content[0].text);
+  };
+  const first = await call(2, { value: 1, description: 'over /mcp' });
+  const second = await call(3, { value: 2, description: 'same session' });
+  assert.equal(second.id, first.id + 1);
+  assert.equal(await sessions(), open + 1);
+
+  assert.equal((await rpc({ jsonrpc: '2.0', id: 4, method: 'tools/list' })).status, 400);
+  const del = await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+  assert.equal(del.status, 200);
+  assert.equal(await sessions(), open);
+  assert.equal((await rpc({ jsonrpc: '2.0', id: 5, method: 'tools/list' }, sessionId)).status, 400);
+});
+
+test('pooled streamable-http clients end their session when closed', async () => {
+  const open = await sessions();
+  const pool = new McpPool(loadMcpServers({ MCP_CLIENT_TRANSPORT: 'streamable-http', MCP_HTTP_URL: `${baseUrl}/mcp` }));
+  const mcp = await pool.toolset();
+  assert.ok(mcp.tools.some((t) => t.name === 'sum'));
+  assert.equal(await sessions(), open + 1);
+  await pool.close();
+  assert.equal(await sessions(), open);
+});
@@ -0,0 +1,117 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  deleteEntry,
+  getEntry,
+  getEntryHistory,
+  initDb,
+  insertEntry,
+  listEntries,
+  restoreEntry,
+  sumEntries,
+  updateEntry,
+} from '../db.js';
+import { statsEntries } from '../stats.js';
+import { createUser } from '../users.js';
+import { startServer } from './helpers/server.js';
+
+// Soft delete, restore and entry history, in db.js and over the REST routes.
+
+let server;
+
+after(() => {
+  server?.stop();
+});
+
+test('soft-deleted entries drop out of list, sum and stats until restored', () => {
+  initDb(':memory:');
+  const { id: userId } = createUser({ name: 'jo' });
+  const kept = insertEntry({ value: 2, description: 'kept' }, { userId });
+  const gone = insertEntry({ value: 5, description: 'gone' }, { userId });
+  const totals = () => ({
+    list: listEntries({ userId }).items.map((e) => e.description),
+    sum: sumEntries({ userId }),
+    stats: statsEntries({ userId }).rows[0].count,
+  });
+  assert.deepEqual(totals(), { list: ['gone', 'kept'], sum: 7, stats: 2 });
+
+  const deleted = deleteEntry(gone.id, { actor: 'test', userId });
+  assert.ok(deleted.deleted_at);
+  assert.deepEqual(totals(), { list: ['kept'], sum: 2, stats: 1 });
+  assert.equal(getEntry(gone.id, { userId }), null);
+  assert.equal(getEntry(gone.id, { includeDeleted: true, userId }).id, gone.id);
+  assert.equal(updateEntry(gone.id, { value: 1 }, { userId }), null);
+  assert.equal(deleteEntry(gone.id, { userId }), null);
+
+  assert.equal(restoreEntry(kept.id, { userId }), null);
+  assert.equal(restoreEntry(gone.id, { userId: userId + 1 }), null);
+  assert.equal(restoreEntry(gone.id, { actor: 'test', userId }).deleted_at, null);
+  assert.deepEqual(totals(), { list: ['gone', 'kept'], sum: 7, stats: 2 });
+});
+
+test('history records every change of an entry in order', () => {
+  initDb(':memory:');
+  const entry = insertEntry({ value: 1, description: 'tea' }, { actor: 'a' });
+  updateEntry(entry.id, { value: 3 }, { actor: 'b' });
+  deleteEntry(entry.id, { actor: 'c' });
+  restoreEntry(entry.id, { actor: 'd' });
+
+  const history = getEntryHistory(entry.id);
+  assert.deepEqual(history.map((h) => [h.action, h.actor]), [['create', 'a'], ['update', 'b'], ['delete', 'c'], ['restore', 'd']]);
+  const [create, update, remove, restore] = history;
+  assert.equal(create.before, null);
+  assert.equal(create.after.value, 1);
+  assert.deepEqual([update.before.value, update.after.value], [1, 3]);
+  assert.deepEqual([remove.before.deleted_at, typeof remove.after.deleted_at], [null, 'string']);
+  assert.deepEqual([typeof restore.before.deleted_at, restore.after.deleted_at], ['string', null]);
+  assert.deepEqual(getEntryHistory(entry.id + 1), []);
+
+  // each change records the user who made it
+  const kim = createUser({ name: 'kim' });
+  const owned = insertEntry({ value: 2, description: 'owned' }, { actor: 'rest', userId: kim.id });
+  updateEntry(owned.id, { value: 3 }, { actor: 'mcp', userId: kim.id });
+  assert.deepEqual(getEntryHistory(owned.id).map((h) => [h.action, h.actor, h.user_id, h.user_name]), [
+    ['create', 'rest', kim.id, 'kim'],
+    ['update', 'mcp', kim.id, 'kim'],
+  ]);
+});
+
+test('PATCH, DELETE, restore and history routes', async () => {
+  server = await startServer({ TOOL_POLICIES: '*=auto' });
+  const send = (method, route, body) => fetch(`${server.baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const entry = await (await server.post('/api/tools/store', { value: 4, description: 'lunch' })).json();
+  const route = `/api/entries/${entry.id}`;
+  const sum = async () => (await (await server.get('/api/tools/sum?range=today')).json()).total;
+
+  assert.equal((await send('PATCH', route, {})).status, 400);
+  assert.equal((await send('PATCH', route, { value: 1.5 })).status, 400);
+  assert.equal((await send('PATCH', '/api/entries/abc', { value: 1 })).status, 400);
+  const patched = await send('PATCH', route, { value: 6, description: 'dinner' });
+  assert.equal(patched.status, 200);
+  const { value, description, deleted_at } = await patched.json();
+  assert.deepEqual({ value, description, deleted_at }, { value: 6, description: 'dinner', deleted_at: null });
+
+  assert.equal((await send('DELETE', route)).status, 200);
+  assert.equal((await send('DELETE', route)).status, 404);
+  assert.equal((await send('PATCH', route, { value: 1 })).status, 404);
+  assert.equal(await sum(), 0);
+  assert.deepEqual((await (await server.get('/api/entries')).json()).items, []);
+  assert.equal((await (await server.get('/api/stats')).json()).rows[0].count, 0);
+
+  assert.equal((await send('POST', `${route}/restore`)).status, 200);
+  assert.equal((await send('POST', `${route}/restore`)).status, 404);
+  assert.equal(await sum(), 6);
+
+  const history = await (await server.get(`${route}/history`)).json();
+  assert.deepEqual(history.items.map((h) => [h.action, h.actor, h.user_name]), [
+    ['create', 'rest', 'admin'],
+    ['update', 'rest', 'admin'],
+    ['delete', 'rest', 'admin'],
+    ['restore', 'rest', 'admin'],
+  ]);
+  assert.equal((await server.get('/api/entries/999/history')).status, 404);
+});
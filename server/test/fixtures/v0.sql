@@ -0,0 +1,10 @@
+-- A data.sqlite as created by the server before migrations existed (user_version = 0)
+CREATE TABLE entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  value INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+INSERT INTO entries(value, description, created_at) VALUES (5, 'coffee', '2025-01-01T08:00:00.000Z');
+INSERT INTO entries(value, description, created_at) VALUES (12, 'lunch', '2025-01-01T12:30:00.000Z');
+INSERT INTO entries(value, description, created_at) VALUES (-3, 'refund', '2025-01-02T09:15:00.000Z');
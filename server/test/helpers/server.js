@@ -0,0 +1,106 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Boots index.js on a free port and a temp DB with the mock LLM provider (fixtures/mock-llm.json).
+// Provider, LLM, MCP and limit env vars of the developer are dropped so the suites stay offline.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(__dirname, '..', '..', 'index.js');
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'mock-llm.json');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(url, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      // any response means the server is listening (routes may require a token)
+      await fetch(url);
+      return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  throw new Error(`server did not start: ${url}`);
+}
+
+// Returns { baseUrl, post(route, body), get(route), logs(), stop() }; logs() is the server's stdout so far
+export async function startServer(extraEnv = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-e2e-'));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const env = { ...process.env };
+  for (const key of Object.keys(env)) {
+    if (/^(OPENAI|OPENROUTER|ANTHROPIC|LLM|MCP|TOOL|RATE|QUOTA)_/.test(key)) delete env[key];
+  }
+  Object.assign(env, {
+    PORT: String(port),
+    DB_PATH: path.join(tmpDir, 'e2e.sqlite'),
+    LLM_PROVIDER: 'mock',
+    MOCK_LLM_FIXTURES: FIXTURES,
+    ...extraEnv,
+  });
+  // cwd outside the repo so a developer's .env is not picked up
+  const child = spawn(process.execPath, [SERVER], { env, cwd: tmpDir, stdio: ['ignore', 'pipe', 'pipe'] });
+  let stdout = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+  });
+  child.stderr.resume();
+  try {
+    await waitForServer(`${baseUrl}/api/models`);
+  } catch (e) {
+    child.kill();
+    throw e;
+  }
+
+  return {
+    baseUrl,
+    post(route, body, headers = {}) {
+      return fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+      });
+    },
+    get(route, headers = {}) {
+      return fetch(`${baseUrl}${route}`, { headers });
+    },
+    logs() {
+      return stdout;
+    },
+    stop() {
+      child.kill();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Read a whole SSE response into [{ event, data }]
+export async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
@@ -0,0 +1,121 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, getDb, storeEntries, listEntries, deleteEntry, entryEvents } from '../db.js';
+import { parseIdempotencyTtlMs } from '../idempotency.js';
+import { handleCallTool } from '../mcp.js';
+import { toolCallAmounts } from '../usage.js';
+import { createUser } from '../users.js';
+import { startServer } from './helpers/server.js';
+
+let erin;
+let frank;
+
+before(() => {
+  initDb(':memory:');
+  erin = createUser({ name: 'erin' });
+  frank = createUser({ name: 'frank' });
+});
+
+test('a repeated idempotency key returns the original entries without inserting', () => {
+  const items = [{ value: 1, description: 'a' }, { value: 2, description: 'b' }];
+  const first = storeEntries(items, { userId: erin.id, idempotencyKey: 'k1' });
+  assert.equal(first.replayed, false);
+  const again = storeEntries(items, { userId: erin.id, idempotencyKey: 'k1' });
+  assert.deepEqual(again, { entries: first.entries, replayed: true });
+  assert.equal(listEntries({ userId: erin.id }).total, 2);
+
+  assert.match(storeEntries([{ value: 3, description: 'c' }], { userId: erin.id, idempotencyKey: 'k1' }).error, /different request/);
+  assert.match(storeEntries([items[0]], { userId: erin.id, idempotencyKey: 'k1', tool: 'store' }).error, /different request/);
+  // keys are per user
+  assert.equal(storeEntries(items, { userId: frank.id, idempotencyKey: 'k1' }).replayed, false);
+});
+
+test('a replay marks entries deleted since the first call', () => {
+  const first = storeEntries([{ value: 1, description: 'kept' }, { value: 2, description: 'gone' }], { userId: erin.id, idempotencyKey: 'k2' });
+  const gone = deleteEntry(first.entries[1].id, { userId: erin.id });
+  const { entries } = storeEntries([{ value: 1, description: 'kept' }, { value: 2, description: 'gone' }], { userId: erin.id, idempotencyKey: 'k2' });
+  assert.deepEqual(entries, [first.entries[0], { ...first.entries[1], deleted_at: gone.deleted_at }]);
+});
+
+test('a batch emits one change event with all of its entries', () => {
+  const events = [];
+  const onChange = (e) => events.push(e);
+  entryEvents.on('change', onChange);
+  try {
+    const { entries } = storeEntries([{ value: 1, description: 'x' }, { value: 2, description: 'y' }, { value: 3, description: 'z' }], { userId: erin.id });
+    storeEntries([{ value: 1, description: 'x' }], { userId: erin.id, idempotencyKey: 'k3' });
+    storeEntries([{ value: 1, description: 'x' }], { userId: erin.id, idempotencyKey: 'k3' });
+    assert.deepEqual(events.map((e) => [e.action, e.userId, e.entries.length]), [['create', erin.id, 3], ['create', erin.id, 1]]);
+    assert.deepEqual(events[0].entries, entries);
+  } finally {
+    entryEvents.off('change', onChange);
+  }
+});
+
+test('keys expire after the retention window', () => {
+  const item = [{ value: 5, description: 'retry' }];
+  storeEntries(item, { userId: erin.id, idempotencyKey: 'old' });
+  getDb().prepare("UPDATE idempotency_keys SET created_at_ms = created_at_ms - ? WHERE key = 'old'").run(25 * 3_600_000);
+  assert.equal(storeEntries(item, { userId: erin.id, idempotencyKey: 'old' }).replayed, false);
+  assert.equal(listEntries({ userId: erin.id, q: 'retry' }).total, 2);
+
+  assert.equal(parseIdempotencyTtlMs({}), 24 * 3_600_000);
+  assert.equal(parseIdempotencyTtlMs({ IDEMPOTENCY_KEY_TTL_HOURS: '0.5' }), 1_800_000);
+  assert.throws(() => parseIdempotencyTtlMs({ IDEMPOTENCY_KEY_TTL_HOURS: '0' }), /positive number/);
+});
+
+test('store_many is atomic and store accepts a key', async () => {
+  const call = (name, args) => handleCallTool({ params: { name, arguments: args } }, { userId: frank.id });
+  const before = listEntries({ userId: frank.id }).total;
+  const bad = await call('store_many', { items: [{ value: 1, description: 'ok' }, { value: 'x', description: '' }] });
+  assert.equal(bad.isError, true);
+  assert.equal(bad.content[0].text, 'items[1].value must be integer; items[1].description is required');
+  assert.equal(listEntries({ userId: frank.id }).total, before);
+
+  const items = [{ value: 7, description: 'tea', createdAtMs: 0 }, { value: 8, description: 'cake' }];
+  const stored = JSON.parse((await call('store_many', { items, idempotencyKey: 'turn-1' })).content[0].text);
+  assert.equal(stored.count, 2);
+  assert.notEqual(stored.entries[0].created_at, new Date(0).toISOString());
+  const replayed = JSON.parse((await call('store_many', { items, idempotencyKey: 'turn-1' })).content[0].text);
+  assert.deepEqual(replayed, { ...stored, replayed: true });
+
+  const once = await call('store', { value: 3, description: 'once', idempotencyKey: 'store-1' });
+  const twice = await call('store', { value: 3, description: 'once', idempotencyKey: 'store-1' });
+  assert.equal(twice.content[0].text, once.content[0].text);
+  assert.equal(listEntries({ userId: frank.id }).total, before + 3);
+  assert.equal((await call('store', { value: 3, description: 'x', idempotencyKey: '' })).isError, true);
+
+  assert.deepEqual(toolCallAmounts('store_many', { args: { items } }), { toolCalls: 1, stores: 2 });
+});
+
+test('REST store and store-batch replay by key and count stores per item', async () => {
+  const server = await startServer({ QUOTA_STORES_PER_DAY: '7' });
+  try {
+    const batch = { items: [{ value: 1, description: 'a' }, { value: 2, description: 'b' }], idempotencyKey: 'batch-1' };
+    const first = await server.post('/api/tools/store-batch', batch);
+    assert.equal(first.status, 200);
+    const firstBody = await first.json();
+    assert.equal(firstBody.count, 2);
+    const retry = await server.post('/api/tools/store-batch', batch);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual((await retry.json()).entries, firstBody.entries);
+    assert.equal((await server.post('/api/tools/store-batch', { ...batch, items: [batch.items[0]] })).status, 409);
+    assert.equal((await server.post('/api/tools/store-batch', { items: [] })).status, 400);
+
+    const store = (key) => fetch(`${server.baseUrl}/api/tools/store`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: JSON.stringify({ value: 9, description: 'single' }),
+    });
+    const a = await (await store('s-1')).json();
+    const b = await store('s-1');
+    assert.equal(b.headers.get('idempotent-replayed'), 'true');
+    assert.equal((await b.json()).id, a.id);
+
+    // the store quota counts the items of every call, replays and rejected calls included: 2 + 2 + 1 + 0 + 1 + 1
+    assert.equal((await server.post('/api/tools/store-batch', { items: batch.items })).status, 429);
+    assert.equal((await (await server.get('/api/entries')).json()).total, 3);
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startServer } from './helpers/server.js';
+
+// Rate limits and daily quotas over HTTP: 429 with Retry-After on REST, MCP errors in sessions and chat runs.
+
+test('daily quotas apply to REST, chat and MCP tool calls', async () => {
+  const server = await startServer({ QUOTA_STORES_PER_DAY: '1', TOOL_POLICIES: '*=auto' });
+  try {
+    assert.equal((await server.post('/api/tools/store', { value: 1, description: 'first' })).status, 200);
+    const r = await server.post('/api/tools/store', { value: 2, description: 'second' });
+    assert.equal(r.status, 429);
+    assert.ok(Number(r.headers.get('retry-after')) > 0);
+    const body = await r.json();
+    assert.equal(body.metric, 'stores');
+    assert.match(body.error, /Daily quota exceeded: 1 stores per day/);
+
+    const chat = await (await server.post('/api/chat', { message: 'store and sum' })).json();
+    assert.equal(chat.toolLogs[0].isError, true);
+    assert.match(chat.toolLogs[0].output, /Daily quota exceeded.*retry after \d+s/);
+
+    const client = new Client({ name: 'limits-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`)));
+    try {
+      await assert.rejects(client.callTool({ name: 'store', arguments: { value: 3, description: 'x' } }), /Daily quota exceeded/);
+      await client.callTool({ name: 'list', arguments: {} });
+    } finally {
+      await client.close();
+    }
+
+    const { usage } = await (await server.get('/api/usage')).json();
+    assert.equal(usage.stores.used, 1);
+    assert.equal(usage.stores.limit, 1);
+    // REST store, chat store (refused) and sum, MCP list
+    assert.equal(usage.toolCalls.used, 3);
+    // three mock LLM steps of 15 tokens
+    assert.equal(usage.llmTokens.used, 45);
+    assert.equal(usage.llmTokens.limit, null);
+  } finally {
+    server.stop();
+  }
+});
+
+test('requests over the per-minute limit get 429', async () => {
+  const server = await startServer({ RATE_LIMIT_PER_MINUTE: '2' });
+  try {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      statuses.push((await server.get('/api/tools/sum?range=today')).status);
+    }
+    assert.ok(statuses.includes(429), `statuses: ${statuses}`);
+  } finally {
+    server.stop();
+  }
+});
+
+test('imported rows count against the stores quota before anything is inserted', async () => {
+  const server = await startServer({ QUOTA_STORES_PER_DAY: '3' });
+  const rows = (n) => Array.from({ length: n }, (_, i) => ({ value: i, description: `row ${i}` }));
+  try {
+    assert.equal((await server.post('/api/entries/import', { rows: rows(5), dryRun: true })).status, 200);
+    assert.equal((await server.post('/api/entries/import', { rows: [{ value: 'x', description: 'bad' }] })).status, 400);
+    const r = await server.post('/api/entries/import', { rows: rows(5) });
+    assert.equal(r.status, 429);
+    assert.equal((await r.json()).metric, 'stores');
+    assert.equal((await (await server.post('/api/entries/import', { rows: rows(2) })).json()).imported, 2);
+
+    const client = new Client({ name: 'limits-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`)));
+    try {
+      const data = JSON.stringify(rows(2));
+      await assert.rejects(client.callTool({ name: 'import', arguments: { format: 'json', data } }), /Daily quota exceeded: 3 stores per day/);
+      const res = await client.callTool({ name: 'import', arguments: { format: 'json', data: JSON.stringify(rows(1)) } });
+      assert.equal(JSON.parse(res.content[0].text).imported, 1);
+    } finally {
+      await client.close();
+    }
+
+    assert.equal((await (await server.get('/api/entries')).json()).total, 3);
+    assert.equal((await (await server.get('/api/usage')).json()).usage.stores.used, 3);
+  } finally {
+    server.stop();
+  }
+});
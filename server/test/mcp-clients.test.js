@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDb, entryEvents } from '../db.js';
+import { McpPool, loadMcpServers } from '../mcp-clients.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STDIO = path.join(__dirname, '..', 'stdio.js');
+
+let tmpDir;
+let configPath;
+
+before(() => {
+  initDb(':memory:');
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-clients-'));
+  configPath = path.join(tmpDir, 'mcp.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    mcpServers: {
+      'sqlite-demo': { command: process.execPath, args: [STDIO, '--db', path.join(tmpDir, 'a.sqlite')] },
+      other: { command: process.execPath, args: [STDIO, '--db', path.join(tmpDir, 'b.sqlite')] },
+      offline: { url: 'http://127.0.0.1:9/sse' },
+      disabled: { url: 'http://127.0.0.1:9/mcp', enabled: false },
+    },
+  }));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('reads .cursor/mcp.json-style config and infers transports', () => {
+  const servers = loadMcpServers({ MCP_SERVERS_CONFIG: configPath });
+  assert.deepEqual(servers.map((s) => [s.name, s.transport]), [
+    ['sqlite-demo', 'stdio'],
+    ['other', 'stdio'],
+    ['offline', 'sse'],
+  ]);
+});
+
+test('defaults to this server in-process with unprefixed tool names', () => {
+  assert.deepEqual(loadMcpServers({}), [{ name: 'local', transport: 'in-process', prefix: false, self: true }]);
+  const [server] = loadMcpServers({ PORT: '5000', MCP_CLIENT_TRANSPORT: 'streamable-http', MCP_AUTH_TOKEN: 't' });
+  assert.equal(server.url, 'http://127.0.0.1:5000/mcp');
+  assert.equal(server.prefix, false);
+  assert.deepEqual(server.headers, { Authorization: 'Bearer t' });
+});
+
+test('config entries pointing at our own port use the in-process transport', () => {
+  const file = path.join(tmpDir, 'self.json');
+  fs.writeFileSync(file, JSON.stringify({ mcpServers: { self: { url: 'http://localhost:4444/sse' }, forced: { url: 'http://localhost:4444/sse', type: 'sse' } } }));
+  const servers = loadMcpServers({ MCP_SERVERS_CONFIG: file, PORT: '4444' });
+  assert.deepEqual(servers.map((s) => s.transport), ['in-process', 'sse']);
+});
+
+test('in-process pool calls the local tools without HTTP', async () => {
+  const pool = new McpPool(loadMcpServers({}));
+  try {
+    const mcp = await pool.toolset();
+    assert.ok(mcp.tools.some((t) => t.name === 'store'));
+    const { isError, text } = await mcp.callTool('store', { value: 3, description: 'in-process' });
+    assert.equal(isError, false);
+    assert.equal(JSON.parse(text).value, 3);
+    assert.deepEqual(pool.status(), [{ server: 'local', transport: 'in-process', connected: true, tools: mcp.tools.length }]);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('own-server connections are kept per caller and closed when idle or revoked', async () => {
+  const pool = new McpPool(loadMcpServers({}), { idleMs: 50 });
+  const listeners = entryEvents.listenerCount('change');
+  try {
+    const a = { userId: 1, subject: 'token:1' };
+    const b = { userId: 1, subject: 'token:2' };
+    await pool.toolset(a);
+    await pool.toolset(a);
+    await pool.toolset(b);
+    assert.equal(pool.userConnections.size, 2);
+    assert.equal(entryEvents.listenerCount('change'), listeners + 2);
+
+    pool.closeSubject('token:2');
+    assert.equal(pool.userConnections.size, 1);
+    await new Promise((r) => setTimeout(r, 80));
+    pool.closeIdle();
+    assert.equal(pool.userConnections.size, 0);
+    await new Promise((r) => setTimeout(r, 20));
+    assert.equal(entryEvents.listenerCount('change'), listeners);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('aggregates namespaced tools, routes calls and reports failed servers', async () => {
+  const pool = new McpPool(loadMcpServers({ MCP_SERVERS_CONFIG: configPath }), { timeoutMs: 5000 });
+  try {
+    const mcp = await pool.toolset();
+    const names = mcp.tools.map((t) => t.name);
+    assert.ok(names.includes('sqlite-demo__sum'));
+    assert.ok(names.includes('other__store'));
+    assert.equal(mcp.errors.length, 1);
+    assert.equal(mcp.errors[0].server, 'offline');
+
+    const stored = await mcp.callTool('sqlite-demo__store', { value: 5, description: 'a' });
+    assert.equal(stored.isError, false);
+    const sumA = JSON.parse((await mcp.callTool('sqlite-demo__sum', { range: 'today' })).text);
+    const sumB = JSON.parse((await mcp.callTool('other__sum', { range: 'today' })).text);
+    assert.equal(sumA.total, 5);
+    assert.equal(sumB.total, 0);
+
+    assert.deepEqual(await mcp.callTool('offline__sum', {}), { isError: true, text: 'Unknown tool: offline__sum' });
+
+    // the failed server waits out its backoff instead of being retried on every request
+    const again = await pool.toolset();
+    assert.equal(again.errors[0].server, 'offline');
+    assert.ok(pool.status().find((s) => s.server === 'offline').retryAt);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('keeps connections across requests and reconnects after the server exits', async () => {
+  const servers = loadMcpServers({ MCP_SERVERS_CONFIG: configPath }).filter((s) => s.name === 'sqlite-demo');
+  const pool = new McpPool(servers, { timeoutMs: 5000, backoff: { initialMs: 50, maxMs: 50 } });
+  try {
+    await pool.toolset();
+    const conn = pool.connections[0];
+    const firstClient = conn.client;
+    await pool.toolset();
+    assert.equal(conn.client, firstClient);
+
+    process.kill(firstClient.transport.pid);
+    const deadline = Date.now() + 5000;
+    while ((!conn.client || conn.client === firstClient) && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 50));
+    }
+    assert.notEqual(conn.client, firstClient);
+    const mcp = await pool.toolset();
+    assert.equal(mcp.errors.length, 0);
+    assert.equal(JSON.parse((await mcp.callTool('sqlite-demo__sum', { range: 'today' })).text).total, 5);
+  } finally {
+    await pool.close();
+  }
+});
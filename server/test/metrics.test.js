@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// GET /metrics and trace ids over HTTP, driven by the mock LLM provider.
+
+let server;
+
+before(async () => {
+  server = await startServer({ TOOL_POLICIES: '*=auto' });
+});
+
+after(() => {
+  server?.stop();
+});
+
+function metric(text, line) {
+  const found = text.split('\n').find((l) => l.startsWith(`${line} `));
+  return found === undefined ? undefined : Number(found.slice(line.length + 1));
+}
+
+test('a chat request keeps its trace id through LLM steps and tool calls', async () => {
+  const r = await server.post('/api/chat', { message: 'store and sum' }, { 'X-Trace-Id': 'trace-test-0001' });
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get('x-trace-id'), 'trace-test-0001');
+
+  const lines = server.logs().split('\n').filter((l) => l.startsWith('[trace trace-test-0001]'));
+  assert.equal(lines.filter((l) => / llm mock\/mock-1 ok in \d+ms 15 tokens$/.test(l)).length, 3);
+  assert.ok(lines.some((l) => / tool store \(chat\) ok in \d+ms$/.test(l)));
+  assert.ok(lines.some((l) => / tool sum \(chat\) ok in \d+ms$/.test(l)));
+
+  const generated = await server.get('/api/entries');
+  assert.match(generated.headers.get('x-trace-id'), /^[0-9a-f]{32}$/);
+});
+
+test('GET /metrics reports HTTP, tool, LLM, session and SQLite metrics', async () => {
+  await server.post('/api/tools/store', { value: 'x', description: 'bad' });
+  const r = await server.get('/metrics');
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /^text\/plain/);
+  const text = await r.text();
+
+  assert.equal(metric(text, 'http_requests_total{method="POST",route="/api/chat",status="200"}'), 1);
+  assert.equal(metric(text, 'http_request_duration_seconds_count{method="POST",route="/api/chat"}'), 1);
+  assert.equal(metric(text, 'tool_calls_total{tool="store",source="chat",status="ok"}'), 1);
+  assert.equal(metric(text, 'tool_calls_total{tool="store",source="rest",status="error"}'), 1);
+  assert.equal(metric(text, 'tool_call_duration_seconds_count{tool="sum",source="chat"}'), 1);
+  assert.equal(metric(text, 'llm_requests_total{provider="mock",model="mock-1",status="ok"}'), 3);
+  assert.equal(metric(text, 'llm_tokens_total{provider="mock",model="mock-1",type="completion"}'), 15);
+  assert.equal(metric(text, 'mcp_sessions{transport="sse"}'), 0);
+  assert.ok(metric(text, 'sqlite_query_duration_seconds_count{operation="insert",table="entries"}') >= 1);
+  assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+  assert.match(text, /http_request_duration_seconds_bucket\{method="POST",route="\/api\/chat",le="\+Inf"\} 1/);
+});
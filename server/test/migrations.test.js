@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { migrate, migrationStatus, getSchemaVersion, LATEST_VERSION } from '../migrator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_V0 = fs.readFileSync(path.join(__dirname, 'fixtures', 'v0.sql'), 'utf8');
+
+function openFixture() {
+  const db = new Database(':memory:');
+  db.exec(FIXTURE_V0);
+  return db;
+}
+
+function columnsOf(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+}
+
+test('fixture database starts at version 0', () => {
+  const db = openFixture();
+  assert.equal(getSchemaVersion(db), 0);
+});
+
+test('upgrades a version 0 database to the latest version and keeps its rows', () => {
+  const db = openFixture();
+  const version = migrate(db);
+  assert.equal(version, LATEST_VERSION);
+  assert.equal(getSchemaVersion(db), LATEST_VERSION);
+
+  const rows = db.prepare('SELECT value, description, deleted_at, created_at_ms FROM entries ORDER BY id').all();
+  assert.deepEqual(rows, [
+    { value: 5, description: 'coffee', deleted_at: null, created_at_ms: Date.parse('2025-01-01T08:00:00.000Z') },
+    { value: 12, description: 'lunch', deleted_at: null, created_at_ms: Date.parse('2025-01-01T12:30:00.000Z') },
+    { value: -3, description: 'refund', deleted_at: null, created_at_ms: Date.parse('2025-01-02T09:15:00.000Z') },
+  ]);
+  assert.ok(columnsOf(db, 'entry_history').includes('actor'));
+  // pre-existing rows belong to the built-in admin
+  assert.deepEqual(db.prepare('SELECT DISTINCT user_id FROM entries').all(), [{ user_id: 1 }]);
+  // existing descriptions are indexed for text search
+  assert.deepEqual(db.prepare("SELECT rowid FROM entries_fts WHERE entries_fts MATCH 'lunch'").all(), [{ rowid: 2 }]);
+
+  const recorded = db.prepare('SELECT version FROM schema_version ORDER BY version').all().map((r) => r.version);
+  assert.deepEqual(recorded, Array.from({ length: LATEST_VERSION }, (_, i) => i + 1));
+});
+
+test('migrating an up-to-date database is a no-op', () => {
+  const db = openFixture();
+  migrate(db);
+  const log = [];
+  assert.equal(migrate(db, { log: (msg) => log.push(msg) }), LATEST_VERSION);
+  assert.deepEqual(log, []);
+});
+
+test('creates the schema on an empty database', () => {
+  const db = new Database(':memory:');
+  migrate(db);
+  assert.deepEqual(columnsOf(db, 'entries'), ['id', 'value', 'description', 'created_at', 'deleted_at', 'created_at_ms', 'user_id']);
+});
+
+test('migrates to a specific version and back up', () => {
+  const db = openFixture();
+  migrate(db, { to: 1 });
+  assert.equal(getSchemaVersion(db), 1);
+  assert.ok(!columnsOf(db, 'entries').includes('deleted_at'));
+
+  migrate(db);
+  migrate(db, { to: 1 });
+  assert.equal(getSchemaVersion(db), 1);
+  assert.ok(!columnsOf(db, 'entries').includes('deleted_at'));
+  assert.equal(db.prepare('SELECT COUNT(1) AS c FROM entries').get().c, 3);
+
+  migrate(db);
+  assert.equal(getSchemaVersion(db), LATEST_VERSION);
+});
+
+test('normalizes non-canonical created_at values when backfilling the epoch column', () => {
+  const db = openFixture();
+  db.prepare('INSERT INTO entries(value, description, created_at) VALUES(?, ?, ?)').run(1, 'offset', '2025-01-03T10:00:00+02:00');
+  migrate(db);
+  const row = db.prepare("SELECT created_at, created_at_ms FROM entries WHERE description = 'offset'").get();
+  assert.deepEqual(row, { created_at: '2025-01-03T08:00:00.000Z', created_at_ms: Date.parse('2025-01-03T08:00:00.000Z') });
+});
+
+test('reports applied and pending migrations', () => {
+  const db = openFixture();
+  migrate(db, { to: 1 });
+  const status = migrationStatus(db);
+  assert.equal(status.current, 1);
+  assert.equal(status.latest, LATEST_VERSION);
+  assert.equal(status.migrations[0].applied, true);
+  assert.ok(status.migrations[0].applied_at);
+  assert.equal(status.migrations[1].applied, false);
+});
+
+test('rejects unknown target versions', () => {
+  const db = openFixture();
+  assert.throws(() => migrate(db, { to: LATEST_VERSION + 1 }), /Invalid target version/);
+  assert.equal(getSchemaVersion(db), 0);
+});
+
+test('upgrades an on-disk database through the migrate CLI entry point', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-migrate-'));
+  const dbPath = path.join(dir, 'data.sqlite');
+  const seed = new Database(dbPath);
+  seed.exec(FIXTURE_V0);
+  seed.close();
+
+  const cli = path.join(__dirname, '..', 'migrate.js');
+  const out = execFileSync(process.execPath, [cli, 'up', '--db', dbPath], { encoding: 'utf8' });
+  assert.match(out, new RegExp(`Schema version: ${LATEST_VERSION}`));
+
+  const db = new Database(dbPath);
+  assert.equal(getSchemaVersion(db), LATEST_VERSION);
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
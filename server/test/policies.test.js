@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseToolPolicies, toolPolicy, findPendingToolCalls, resolveApprovals } from '../policies.js';
+
+test('parses TOOL_POLICIES and falls back from namespaced to bare names and *', () => {
+  const policies = parseToolPolicies('store=confirm, files__write_file=deny, *=auto');
+  assert.equal(toolPolicy('store', policies), 'confirm');
+  assert.equal(toolPolicy('sqlite-demo__store', policies), 'confirm');
+  assert.equal(toolPolicy('files__write_file', policies), 'deny');
+  assert.equal(toolPolicy('other__write_file', policies), 'auto');
+  assert.equal(toolPolicy('sum', parseToolPolicies('*=confirm')), 'confirm');
+  assert.equal(toolPolicy('sum', parseToolPolicies('')), 'auto');
+  assert.throws(() => parseToolPolicies('store=maybe'), /Invalid TOOL_POLICIES entry "store=maybe"/);
+});
+
+test('default policies confirm the tools that change entries', () => {
+  const policies = parseToolPolicies();
+  assert.deepEqual(['store', 'update', 'delete', 'restore', 'sum', 'list'].map((n) => toolPolicy(n, policies)),
+    ['confirm', 'confirm', 'confirm', 'confirm', 'auto', 'auto']);
+});
+
+test('finds tool calls of the last assistant message without results', () => {
+  const history = [
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: '', toolCalls: [{ id: 'a', name: 'sum', args: {} }, { id: 'b', name: 'store', args: { value: 1 } }] },
+    { role: 'tool', content: '{}', toolCallId: 'a', toolName: 'sum' },
+  ];
+  assert.deepEqual(findPendingToolCalls(history), [{ id: 'b', name: 'store', args: { value: 1 } }]);
+  assert.deepEqual(findPendingToolCalls([...history, { role: 'tool', content: 'x', toolCallId: 'b' }]), []);
+  assert.deepEqual(findPendingToolCalls([{ role: 'assistant', content: 'done' }]), []);
+});
+
+test('resolves approvals for every pending call', () => {
+  const pending = [{ id: 'a', name: 'store', args: { value: 1 } }, { id: 'b', name: 'delete', args: { id: 3 } }];
+  const { decisions } = resolveApprovals(pending, [
+    { toolCallId: 'b', action: 'reject', reason: 'keep it' },
+    { toolCallId: 'a', action: 'edit', args: { value: 2 } },
+  ]);
+  assert.deepEqual(decisions.map((d) => [d.call.id, d.action, d.args, d.reason]), [
+    ['a', 'edit', { value: 2 }, undefined],
+    ['b', 'reject', { id: 3 }, 'keep it'],
+  ]);
+  assert.match(resolveApprovals(pending, [{ toolCallId: 'a', action: 'approve' }]).error, /missing approval for tool call b/);
+  assert.match(resolveApprovals([], [{ toolCallId: 'a', action: 'approve' }]).error, /no pending tool calls/);
+});
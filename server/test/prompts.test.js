@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { initDb, insertEntries } from '../db.js';
+import { createMcpServer } from '../mcp.js';
+import { createUser } from '../users.js';
+
+// MCP prompts over an in-memory client session: listing, rendered messages, argument errors and completion.
+
+const DAY = 24 * 3600_000;
+
+let client;
+
+function promptData(result) {
+  const { text } = result.messages[0].content;
+  return { text, data: JSON.parse(text.slice(text.indexOf('Data (JSON):\n') + 'Data (JSON):\n'.length)) };
+}
+
+before(async () => {
+  initDb(':memory:');
+  const hana = createUser({ name: 'hana' });
+  const now = Date.now();
+  insertEntries([
+    { value: 4, description: 'coffee' },
+    { value: 6, description: 'coffee' },
+    { value: 5, description: 'lunch' },
+    { value: 2, description: 'coffee', createdAtMs: now - 10 * DAY },
+  ], { userId: hana.id });
+  insertEntries([{ value: 100, description: 'not hana' }], { userId: createUser({ name: 'ivo' }).id });
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer({ userId: hana.id }).connect(serverTransport);
+  client = new Client({ name: 'prompts-test', version: '1.0.0' });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client?.close();
+});
+
+test('prompts/list describes both prompts and their arguments', async () => {
+  const { prompts } = await client.listPrompts();
+  assert.deepEqual(prompts.map((p) => p.name), ['summarize_period', 'compare_periods']);
+  for (const prompt of prompts) {
+    assert.deepEqual(prompt.arguments.map((a) => [a.name, a.required]), [['period', true], ['grouping', false], ['timezone', false]]);
+  }
+});
+
+test('summarize_period renders the caller\'s totals, breakdown and entries', async () => {
+  const result = await client.getPrompt({ name: 'summarize_period', arguments: { period: 'today', grouping: 'description' } });
+  assert.equal(result.description, 'Summary of today (UTC) grouped by description');
+  assert.equal(result.messages.length, 1);
+  assert.equal(result.messages[0].role, 'user');
+  const { text, data } = promptData(result);
+  assert.match(text, /^Summarize my entries for today \(/);
+  assert.match(text, /Total: 15 across 3 entries\./);
+  assert.equal(data.total, 15);
+  assert.deepEqual(data.entries.map((e) => e.value).sort(), [4, 5, 6]);
+  assert.deepEqual(data.breakdown.rows.map((r) => [r.description, r.sum]).sort(), [['coffee', 10], ['lunch', 5]]);
+});
+
+test('compare_periods renders the current and previous period with the change', async () => {
+  const result = await client.getPrompt({ name: 'compare_periods', arguments: { period: 'last_7_days', timezone: 'Europe/Berlin' } });
+  assert.equal(result.description, 'Comparison of last_7_days with the previous period (Europe/Berlin) grouped by description');
+  const { text, data } = promptData(result);
+  assert.match(text, /Current: 15 \(3 entries/);
+  assert.match(text, /Previous: 2 \(1 entries/);
+  assert.match(text, /Change: \+13/);
+  assert.equal(Date.parse(data.previous.to) + 1, Date.parse(data.current.from));
+  assert.deepEqual(data.previous.entries.map((e) => e.description), ['coffee']);
+});
+
+test('prompts/get rejects unknown prompts and invalid arguments', async () => {
+  const get = (name, args) => client.getPrompt({ name, arguments: args });
+  await assert.rejects(get('haiku', {}), /Unknown prompt: haiku/);
+  await assert.rejects(get('summarize_period', {}), /period must be one of: today, yesterday/);
+  await assert.rejects(get('compare_periods', { period: 'yesterday' }), /period must be one of: today, this_week/);
+  await assert.rejects(get('summarize_period', { period: 'today', grouping: 'year' }), /grouping must be one of: hour, day, week, month, description/);
+  await assert.rejects(get('summarize_period', { period: 'today', timezone: 'Mars/Base' }), /Unknown timezone: Mars\/Base/);
+});
+
+test('completion/complete suggests argument values by prefix', async () => {
+  const complete = async (name, argName, value) =>
+    (await client.complete({ ref: { type: 'ref/prompt', name }, argument: { name: argName, value } })).completion;
+
+  assert.deepEqual((await complete('compare_periods', 'period', 'this')).values, ['this_week', 'this_month']);
+  assert.deepEqual((await complete('summarize_period', 'period', 'LAST_')).values, ['last_week', 'last_month', 'last_7_days', 'last_30_days']);
+  assert.deepEqual((await complete('summarize_period', 'grouping', '')).values, ['hour', 'day', 'week', 'month', 'description']);
+  assert.ok((await complete('summarize_period', 'timezone', 'Europe/Ber')).values.includes('Europe/Berlin'));
+  assert.deepEqual((await complete('compare_periods', 'timezone', 'ut')).values, ['UTC']);
+
+  const all = await complete('summarize_period', 'timezone', '');
+  assert.equal(all.values.length, 100);
+  assert.equal(all.hasMore, true);
+  assert.ok(all.total > 100);
+
+  assert.deepEqual((await complete('haiku', 'period', '')).values, []);
+});
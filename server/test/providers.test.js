@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadProviders, resolveChatOptions, toAnthropicMessages, fromAnthropicContent } from '../providers.js';
+
+const noConfig = path.join(os.tmpdir(), 'no-such-llm.config.json');
+
+test('registers env providers and keeps the OpenRouter-first default', () => {
+  const { defaultProvider, providers } = loadProviders({
+    env: { OPENAI_API_KEY: 'sk-o', OPENROUTER_API_KEY: 'sk-r', ANTHROPIC_API_KEY: 'sk-a' },
+  });
+  assert.equal(defaultProvider, 'openrouter');
+  assert.deepEqual(Object.keys(providers).sort(), ['anthropic', 'openai', 'openrouter']);
+  assert.equal(providers.openai.defaultModel, 'gpt-4o-mini');
+  assert.equal(providers.anthropic.apiKey, 'sk-a');
+});
+
+test('merges providers from a config file with credentials from env', () => {
+  const file = path.join(os.tmpdir(), `llm-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    default: 'ollama',
+    providers: {
+      ollama: { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1', defaultModel: 'llama3.1' },
+      openai: { defaultModel: 'gpt-4o' },
+      work: { type: 'anthropic', apiKeyEnv: 'WORK_KEY', defaultModel: 'claude-3-5-haiku-latest' },
+    },
+  }));
+  try {
+    const { defaultProvider, providers } = loadProviders({ env: { OPENAI_API_KEY: 'sk-o', WORK_KEY: 'sk-w' }, configPath: file });
+    assert.equal(defaultProvider, 'ollama');
+    assert.equal(providers.ollama.baseURL, 'http://localhost:11434/v1');
+    assert.equal(providers.openai.apiKey, 'sk-o');
+    assert.equal(providers.openai.defaultModel, 'gpt-4o');
+    assert.equal(providers.work.apiKey, 'sk-w');
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('rejects invalid provider config', () => {
+  assert.throws(() => loadProviders({ env: { OPENAI_COMPAT_BASE_URL: 'http://x/v1' }, configPath: noConfig }), /Failed to read/);
+  assert.throws(() => loadProviders({ env: { OPENAI_COMPAT_BASE_URL: 'http://x/v1', LLM_CONFIG: '' } }), /defaultModel is required/);
+  assert.throws(() => loadProviders({ env: { LLM_PROVIDER: 'mock', LLM_CONFIG: '' } }), /fixtures is required for mock providers \(set MOCK_LLM_FIXTURES/);
+  assert.throws(() => loadProviders({ env: { MOCK_LLM_FIXTURES: noConfig, LLM_CONFIG: '' } }), /mock fixture file not found/);
+});
+
+test('converts OpenAI chat messages to Anthropic turns and back', () => {
+  const { system, messages } = toAnthropicMessages([
+    { role: 'system', content: 'be brief' },
+    { role: 'user', content: 'sum today' },
+    { role: 'assistant', content: '', tool_calls: [{ id: 't1', type: 'function', function: { name: 'sum', arguments: '{"range":"today"}' } }] },
+    { role: 'tool', tool_call_id: 't1', content: '{"total":3}' },
+  ]);
+  assert.equal(system, 'be brief');
+  assert.deepEqual(messages.map((m) => m.role), ['user', 'assistant', 'user']);
+  assert.deepEqual(messages[1].content, [{ type: 'tool_use', id: 't1', name: 'sum', input: { range: 'today' } }]);
+  assert.deepEqual(messages[2].content, [{ type: 'tool_result', tool_use_id: 't1', content: '{"total":3}' }]);
+
+  const msg = fromAnthropicContent([
+    { type: 'text', text: 'Checking.' },
+    { type: 'tool_use', id: 't2', name: 'list', input: {} },
+  ]);
+  assert.equal(msg.content, 'Checking.');
+  assert.deepEqual(msg.tool_calls, [{ id: 't2', type: 'function', function: { name: 'list', arguments: '{}' } }]);
+});
+
+test('validates per-request chat options against the model allowlist', () => {
+  const registry = loadProviders({
+    env: { OPENAI_API_KEY: 'sk-o', OPENAI_MODELS: 'gpt-4o, gpt-4o-mini', ANTHROPIC_API_KEY: 'sk-a', LLM_MAX_STEPS: '8' },
+  });
+  assert.deepEqual(registry.providers.openai.models, ['gpt-4o-mini', 'gpt-4o']);
+
+  const defaults = resolveChatOptions({}, registry);
+  assert.equal(defaults.provider.name, 'openai');
+  assert.equal(defaults.model, 'gpt-4o-mini');
+  assert.equal(defaults.maxSteps, 5);
+
+  const picked = resolveChatOptions({ provider: 'anthropic', temperature: 0.5, maxSteps: 8 }, registry);
+  assert.equal(picked.model, 'claude-3-5-sonnet-20241022');
+  assert.equal(picked.temperature, 0.5);
+
+  assert.match(resolveChatOptions({ provider: 'mistral' }, registry).error, /unknown provider/);
+  assert.match(resolveChatOptions({ model: 'gpt-5' }, registry).error, /model not allowed/);
+  assert.match(resolveChatOptions({ provider: 'anthropic', temperature: 1.5 }, registry).error, /between 0 and 1/);
+  assert.match(resolveChatOptions({ maxSteps: 9 }, registry).error, /between 1 and 8/);
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceListChangedNotificationSchema, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { initDb, insertEntry, insertEntries, updateEntry } from '../db.js';
+import { createMcpServer } from '../mcp.js';
+import { createUser } from '../users.js';
+
+// MCP resources over an in-memory client session: listing, templates, reads and change notifications.
+
+let gina;
+let client;
+const updated = [];
+let listChanged = 0;
+
+const settle = () => new Promise((r) => setTimeout(r, 20));
+
+before(async () => {
+  initDb(':memory:');
+  gina = createUser({ name: 'gina' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer({ userId: gina.id }).connect(serverTransport);
+  client = new Client({ name: 'resources-test', version: '1.0.0' });
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => {
+    updated.push(n.params.uri);
+  });
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+    listChanged++;
+  });
+  await client.connect(clientTransport);
+});
+
+after(async () => {
+  await client?.close();
+});
+
+test('resources/list pages through the caller\'s entries after entries://recent', async () => {
+  insertEntries(Array.from({ length: 55 }, (_, i) => ({ value: i, description: `item ${i}` })), { userId: gina.id });
+  insertEntry({ value: 1, description: 'not gina' }, { userId: 1 });
+  const first = await client.listResources();
+  assert.equal(first.resources[0].uri, 'entries://recent');
+  assert.equal(first.resources.length, 51);
+  assert.equal(first.nextCursor, '2');
+  const second = await client.listResources({ cursor: first.nextCursor });
+  assert.equal(second.resources.length, 5);
+  assert.equal(second.nextCursor, undefined);
+  assert.ok([...first.resources, ...second.resources].every((r) => !r.name.includes('not gina')));
+  await settle();
+  listChanged = 0;
+});
+
+test('resources/templates/list describes the entry and recent templates', async () => {
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates.map((t) => t.uriTemplate), ['entries://{id}', 'entries://recent{?limit}']);
+});
+
+test('resources/read returns entries and recent lists as JSON', async () => {
+  const { resources } = await client.listResources();
+  const uri = resources[1].uri;
+  const [content] = (await client.readResource({ uri })).contents;
+  assert.equal(content.mimeType, 'application/json');
+  assert.equal(`entries://${JSON.parse(content.text).id}`, uri);
+
+  const recent = JSON.parse((await client.readResource({ uri: 'entries://recent?limit=2' })).contents[0].text);
+  assert.equal(recent.items.length, 2);
+  assert.equal(recent.total, 55);
+
+  await assert.rejects(client.readResource({ uri: 'entries://999999' }), /Resource not found/);
+  await assert.rejects(client.readResource({ uri: 'files://x' }), /Unknown resource/);
+});
+
+test('subscribed resources are notified about writes until unsubscribed', async () => {
+  const entry = insertEntry({ value: 3, description: 'watched' }, { userId: gina.id });
+  const uri = `entries://${entry.id}`;
+  await client.subscribeResource({ uri });
+  await client.subscribeResource({ uri: 'entries://recent' });
+  await settle();
+  updated.length = 0;
+  listChanged = 0;
+
+  updateEntry(entry.id, { value: 4 }, { userId: gina.id });
+  await settle();
+  assert.deepEqual(updated.sort(), [uri, 'entries://recent']);
+  assert.equal(listChanged, 0);
+
+  updated.length = 0;
+  insertEntry({ value: 5, description: 'new' }, { userId: gina.id });
+  insertEntry({ value: 6, description: 'someone else' }, { userId: 1 });
+  await settle();
+  assert.deepEqual(updated, ['entries://recent']);
+  assert.equal(listChanged, 1);
+
+  // a batch is one change
+  updated.length = 0;
+  listChanged = 0;
+  insertEntries([{ value: 1, description: 'a' }, { value: 2, description: 'b' }], { userId: gina.id });
+  await settle();
+  assert.deepEqual(updated, ['entries://recent']);
+  assert.equal(listChanged, 1);
+
+  await client.unsubscribeResource({ uri });
+  await client.unsubscribeResource({ uri: 'entries://recent' });
+  updated.length = 0;
+  updateEntry(entry.id, { value: 7 }, { userId: gina.id });
+  await settle();
+  assert.deepEqual(updated, []);
+});
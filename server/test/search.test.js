@@ -0,0 +1,97 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, getDb, insertEntry, updateEntry, deleteEntry, restoreEntry, listEntries, ftsQuery } from '../db.js';
+import { parseListArgs } from '../search.js';
+import { handleCallTool } from '../mcp.js';
+import { createUser } from '../users.js';
+import { startServer } from './helpers/server.js';
+
+let dave;
+
+before(() => {
+  initDb(':memory:');
+  dave = createUser({ name: 'dave' });
+  const at = (iso) => Date.parse(iso);
+  const rows = [
+    [4, 'Coffee at the station', '2026-03-02T08:00:00Z'],
+    [12, 'coffee beans', '2026-03-10T09:00:00Z'],
+    [15, 'Lunch with coffee', '2026-03-20T12:00:00Z'],
+    [30, 'Groceries', '2026-03-21T17:00:00Z'],
+    [20, 'coffee machine descaler', '2026-04-01T10:00:00Z'],
+  ];
+  for (const [value, description, createdAt] of rows) {
+    const { id } = insertEntry({ value, description }, { userId: dave.id });
+    getDb().prepare('UPDATE entries SET created_at_ms = ?, created_at = ? WHERE id = ?').run(at(createdAt), createdAt, id);
+  }
+  insertEntry({ value: 99, description: 'coffee of another user' }, { userId: 1 });
+});
+
+test('ftsQuery turns free text into quoted prefix terms', () => {
+  assert.equal(ftsQuery('cof  beans!'), '"cof"* "beans"*');
+  assert.equal(ftsQuery('café-au-lait'), '"café"* "au"* "lait"*');
+  assert.equal(ftsQuery('"*()'), null);
+});
+
+test('listEntries combines text, value and date filters with sorting', () => {
+  const coffee = listEntries({ userId: dave.id, q: 'coffee', minValue: 10, from: '2026-03-01', to: '2026-03-31', sort: 'value', order: 'asc' });
+  assert.deepEqual(coffee.items.map((e) => e.value), [12, 15]);
+  assert.equal(coffee.total, 2);
+  assert.equal(coffee.items[0].snippet, '**coffee** beans');
+
+  assert.deepEqual(listEntries({ userId: dave.id, q: 'cof', sort: 'relevance' }).items.length, 4);
+  assert.deepEqual(listEntries({ userId: dave.id, maxValue: 15, sort: 'created_at', order: 'asc' }).items.map((e) => e.value), [4, 12, 15]);
+  assert.equal(listEntries({ userId: dave.id }).items[0].description, 'coffee machine descaler');
+});
+
+test('the index follows updates, deletes and restores', () => {
+  const [groceries] = listEntries({ userId: dave.id, q: 'groceries' }).items;
+  updateEntry(groceries.id, { description: 'Groceries and coffee' }, { userId: dave.id });
+  assert.equal(listEntries({ userId: dave.id, q: 'groceries coffee' }).total, 1);
+  deleteEntry(groceries.id, { userId: dave.id });
+  assert.equal(listEntries({ userId: dave.id, q: 'groceries' }).total, 0);
+  restoreEntry(groceries.id, { userId: dave.id });
+  updateEntry(groceries.id, { description: 'Groceries' }, { userId: dave.id });
+  assert.equal(listEntries({ userId: dave.id, q: 'coffee' }).total, 4);
+});
+
+test('parseListArgs validates query-string filters', () => {
+  assert.deepEqual(parseListArgs({ minValue: '10', maxValue: '-2' }), { error: 'minValue must not be greater than maxValue' });
+  assert.match(parseListArgs({ minValue: '1.5' }).error, /minValue must be an integer/);
+  assert.match(parseListArgs({ sort: 'relevance' }).error, /needs a search query/);
+  assert.match(parseListArgs({ sort: 'name' }).error, /sort must be one of/);
+  assert.match(parseListArgs({ order: 'up' }).error, /order must be one of/);
+  assert.match(parseListArgs({ q: '!!' }).error, /at least one word/);
+  const { options } = parseListArgs({ q: 'coffee', minValue: '5' }, { defaultSort: 'relevance' });
+  assert.deepEqual([options.sort, options.order, options.minValue], ['relevance', 'desc', 5]);
+});
+
+test('search tool returns highlighted matches of the caller only', async () => {
+  const call = (args) => handleCallTool({ params: { name: 'search', arguments: args } }, { userId: dave.id });
+  const res = await call({ query: 'coffee', maxValue: 15, limit: 2 });
+  const body = JSON.parse(res.content[0].text);
+  assert.equal(body.total, 3);
+  assert.equal(body.items.length, 2);
+  assert.ok(body.items.every((e) => /\*\*coffee\*\*/i.test(e.snippet) && e.value <= 15));
+  assert.deepEqual(Object.keys(body.items[0]), ['id', 'value', 'description', 'created_at', 'snippet']);
+  assert.equal((await call({ query: '  ' })).isError, true);
+  assert.equal((await call({ query: 'coffee', limit: 500 })).isError, true);
+});
+
+test('GET /api/entries accepts the filters and rejects invalid ones', async () => {
+  const server = await startServer();
+  try {
+    for (const [value, description] of [[3, 'tea'], [8, 'coffee to go'], [25, 'coffee grinder']]) {
+      await server.post('/api/tools/store', { value, description });
+    }
+    const r = await server.get('/api/entries?q=coffee&minValue=5&maxValue=10&range=today&sort=value');
+    assert.equal(r.status, 200);
+    const j = await r.json();
+    assert.deepEqual(j.items.map((e) => [e.value, e.snippet]), [[8, '**coffee** to go']]);
+    const sorted = await (await server.get('/api/entries?sort=value&order=asc')).json();
+    assert.deepEqual(sorted.items.map((e) => e.value), [3, 8, 25]);
+    assert.equal((await server.get('/api/entries?minValue=abc')).status, 400);
+    assert.equal((await server.get('/api/entries?sort=relevance')).status, 400);
+  } finally {
+    server.stop();
+  }
+});
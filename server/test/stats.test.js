@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, getDb } from '../db.js';
+import { parseStatsArgs, statsEntries } from '../stats.js';
+import { bucketKey } from '../time.js';
+
+before(() => {
+  initDb(':memory:');
+  const insert = getDb().prepare('INSERT INTO entries(value, description, created_at, created_at_ms) VALUES(?, ?, ?, ?)');
+  for (const [value, description, createdAt] of [
+    [5, 'coffee', '2025-01-05T23:30:00.000Z'],
+    [7, 'coffee', '2025-01-06T08:00:00.000Z'],
+    [10, 'lunch', '2025-01-06T12:00:00.000Z'],
+    [3, 'coffee', '2025-02-01T00:00:00.000Z'],
+  ]) {
+    insert.run(value, description, createdAt, Date.parse(createdAt));
+  }
+});
+
+test('bucketKey uses local time of the timezone', () => {
+  const ms = Date.parse('2025-01-05T23:30:00.000Z');
+  assert.equal(bucketKey(ms, 'day', 'UTC'), '2025-01-05');
+  assert.equal(bucketKey(ms, 'day', 'Europe/Berlin'), '2025-01-06');
+  assert.equal(bucketKey(ms, 'hour', 'Asia/Kolkata'), '2025-01-06T05:00');
+  assert.equal(bucketKey(ms, 'week', 'UTC'), '2024-12-30');
+  assert.equal(bucketKey(ms, 'month', 'America/New_York'), '2025-01');
+});
+
+test('ungrouped stats return a single row', () => {
+  const result = statsEntries(parseStatsArgs({}).options);
+  assert.deepEqual(result.columns, ['count', 'sum', 'avg', 'min', 'max']);
+  assert.deepEqual(result.rows, [{ count: 4, sum: 25, avg: 6.25, min: 3, max: 10 }]);
+});
+
+test('groups by day in the requested timezone', () => {
+  const { options } = parseStatsArgs({ groupBy: 'day', timezone: 'Europe/Berlin', metrics: 'count,sum' });
+  assert.deepEqual(statsEntries(options).rows, [
+    { bucket: '2025-01-06', count: 3, sum: 22 },
+    { bucket: '2025-02-01', count: 1, sum: 3 },
+  ]);
+});
+
+test('groups by description', () => {
+  const { options } = parseStatsArgs({ byDescription: true, metrics: ['sum', 'max'] });
+  assert.deepEqual(statsEntries(options).rows, [
+    { description: 'coffee', sum: 15, max: 7 },
+    { description: 'lunch', sum: 10, max: 10 },
+  ]);
+});
+
+test('rejects invalid arguments', () => {
+  assert.match(parseStatsArgs({ groupBy: 'year' }).error, /groupBy/);
+  assert.match(parseStatsArgs({ timezone: 'Mars/Base' }).error, /timezone/);
+  assert.match(parseStatsArgs({ metrics: ['median'] }).error, /metrics/);
+});
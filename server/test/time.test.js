@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange, parseTimestamp } from '../time.js';
+
+const iso = (ms) => new Date(ms).toISOString();
+
+test('parses ISO datetimes with and without offsets or milliseconds', () => {
+  assert.equal(iso(parseTimestamp('2025-01-01T00:00:00Z')), '2025-01-01T00:00:00.000Z');
+  assert.equal(iso(parseTimestamp('2025-01-01T00:00Z')), '2025-01-01T00:00:00.000Z');
+  assert.equal(iso(parseTimestamp('2025-01-01T00:00:00+02:00')), '2024-12-31T22:00:00.000Z');
+  assert.equal(iso(parseTimestamp('2025-01-01T00:00:00.5-0530')), '2025-01-01T05:30:00.500Z');
+  assert.equal(iso(parseTimestamp('2025-01-01 10:00')), '2025-01-01T10:00:00.000Z');
+});
+
+test('interprets values without an offset in the given timezone', () => {
+  assert.equal(iso(parseTimestamp('2025-07-01T09:00', { timezone: 'Europe/Berlin' })), '2025-07-01T07:00:00.000Z');
+  assert.equal(iso(parseTimestamp('2025-01-01', { timezone: 'America/New_York' })), '2025-01-01T05:00:00.000Z');
+  assert.equal(iso(parseTimestamp('2025-01-01', { timezone: 'America/New_York', endOfDay: true })), '2025-01-02T04:59:59.999Z');
+});
+
+test('rejects malformed or impossible datetimes', () => {
+  for (const bad of ['yesterday', '2025-02-30', '2025-01-01T25:00Z', '01/02/2025', '']) {
+    assert.throws(() => parseTimestamp(bad), RangeError, bad);
+  }
+});
+
+test('parseRange validates timezone and ordering', () => {
+  assert.match(parseRange({ from: '2025-01-01', timezone: 'Mars/Base' }).error, /timezone/);
+  assert.match(parseRange({ from: '2025-01-02', to: '2025-01-01' }).error, /after/);
+  assert.match(parseRange({ from: 'nope', to: '2025-01-01' }).error, /Invalid datetime/);
+  assert.deepEqual(parseRange({ from: '2025-01-01', to: '2025-01-01', timezone: 'Europe/Berlin' }), {
+    from: Date.parse('2024-12-31T23:00:00.000Z'),
+    to: Date.parse('2025-01-01T22:59:59.999Z'),
+  });
+});
+
+test('resolves named and calendar ranges against the given clock and timezone', () => {
+  const now = Date.parse('2025-08-15T12:00:00.000Z');
+  assert.deepEqual(parseRange({ range: 'yesterday', timezone: 'Europe/Berlin' }, { now }), {
+    from: Date.parse('2025-08-13T22:00:00.000Z'),
+    to: Date.parse('2025-08-14T21:59:59.999Z'),
+  });
+  assert.deepEqual(parseRange({ range: 'last_7_days' }, { now }), {
+    from: Date.parse('2025-08-08T12:00:00.000Z'),
+    to: now,
+  });
+  assert.deepEqual(parseRange({ range: '2025-Q3' }, { now }), {
+    from: Date.parse('2025-07-01T00:00:00.000Z'),
+    to: Date.parse('2025-09-30T23:59:59.999Z'),
+  });
+  assert.deepEqual(parseRange({ range: 'this_month', timezone: 'America/New_York' }, { now }), {
+    from: Date.parse('2025-08-01T04:00:00.000Z'),
+    to: Date.parse('2025-09-01T03:59:59.999Z'),
+  });
+});
+
+test('rejects unknown ranges and mixing range with from/to', () => {
+  assert.match(parseRange({ range: 'next_tuesday' }).error, /Unknown range/);
+  assert.match(parseRange({ range: 'today', from: '2025-01-01' }).error, /either range or from\/to/);
+});
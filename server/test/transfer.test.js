@@ -0,0 +1,98 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { initDb, insertEntry, entryBatches, listEntries } from '../db.js';
+import { parseCsv, exportChunks, importEntries } from '../transfer.js';
+import { createUser } from '../users.js';
+import { startServer } from './helpers/server.js';
+
+let bob;
+let carol;
+
+before(() => {
+  initDb(':memory:');
+  bob = createUser({ name: 'bob' });
+  carol = createUser({ name: 'carol' });
+});
+
+test('parseCsv handles quotes, escaped quotes and CRLF', () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi"""\n\n1,\n'), [['a', 'b'], ['x, y', 'say "hi"'], ['1', '']]);
+  assert.throws(() => parseCsv('a\n"open'), /unterminated/);
+});
+
+test('exports round-trip through import in every format', () => {
+  insertEntry({ value: 1, description: 'plain' }, { userId: 1 });
+  insertEntry({ value: -2, description: 'has, comma and "quotes"\nand a newline' }, { userId: 1 });
+  const batches = [...entryBatches({ userId: 1, batchSize: 1 })];
+  assert.equal(batches.length, 2);
+
+  for (const format of ['csv', 'json', 'ndjson']) {
+    const text = [...exportChunks(format, batches)].join('');
+    const summary = importEntries(format, text, { dryRun: true, userId: bob.id });
+    assert.deepEqual(summary, { dryRun: true, total: 2, valid: 2, imported: 0, errorCount: 0, errors: [] }, format);
+  }
+  assert.equal([...exportChunks('json', [])].join(''), '[]\n');
+
+  const csv = [...exportChunks('csv', batches)].join('');
+  assert.equal(importEntries('csv', csv, { userId: bob.id }).imported, 2);
+  const imported = listEntries({ userId: bob.id }).items;
+  assert.deepEqual(imported.map((e) => [e.value, e.description, e.created_at]).reverse(), batches.flat().map((e) => [e.value, e.description, e.created_at]));
+});
+
+test('one invalid row imports nothing and is reported by row number', () => {
+  const data = 'value,description,created_at\n5,ok,2026-01-02T03:04:05Z\nfive,bad value,\n6,,\n7,bad date,yesterday\n';
+  const summary = importEntries('csv', data, { userId: carol.id });
+  assert.equal(summary.imported, 0);
+  assert.equal(summary.valid, 1);
+  assert.deepEqual(summary.errors, [
+    { row: 2, error: 'value must be an integer' },
+    { row: 3, error: 'description is required' },
+    { row: 4, error: 'created_at must be an ISO datetime' },
+  ]);
+  assert.equal(listEntries({ userId: carol.id }).total, 0);
+
+  assert.match(importEntries('csv', 'id,value\n1,2\n').error, /header must include value and description/);
+  assert.deepEqual(importEntries('ndjson', '{"value":1,"description":"a"}\n{oops\n').errors.map((e) => e.row), [2]);
+});
+
+test('REST export streams and import validates; MCP has export/import tools', async () => {
+  const server = await startServer({ TOOL_POLICIES: '*=auto' });
+  try {
+    const noFormat = await server.post('/api/entries/import', { data: 'value,description\n1,a\n' });
+    assert.equal(noFormat.status, 400);
+
+    const csv = 'value,description\n3,first\n4,"second, with comma"\n';
+    const r = await fetch(`${server.baseUrl}/api/entries/import`, { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: csv });
+    assert.equal(r.status, 200);
+    assert.equal((await r.json()).imported, 2);
+
+    const bad = await server.post('/api/entries/import', { rows: [{ value: 1, description: 'ok' }, { value: 1.5, description: 'x' }] });
+    assert.equal(bad.status, 400);
+    assert.deepEqual((await bad.json()).errors, [{ row: 2, error: 'value must be an integer' }]);
+    const dryRun = await server.post('/api/entries/import', { rows: [{ value: 1.5, description: 'x' }], dryRun: true });
+    assert.equal(dryRun.status, 200);
+
+    const exported = await server.get('/api/entries/export?format=ndjson&range=today');
+    assert.equal(exported.headers.get('content-type'), 'application/x-ndjson');
+    assert.match(exported.headers.get('content-disposition'), /entries\.ndjson/);
+    const lines = (await exported.text()).trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((e) => e.description), ['first', 'second, with comma']);
+    assert.equal((await server.get('/api/entries/export?format=xml')).status, 400);
+
+    const client = new Client({ name: 'transfer-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`)));
+    try {
+      const imported = await client.callTool({ name: 'import', arguments: { format: 'json', data: '[{"value":10,"description":"via mcp"}]' } });
+      assert.equal(JSON.parse(imported.content[0].text).imported, 1);
+      const res = await client.callTool({ name: 'export', arguments: { format: 'csv' } });
+      const [header, ...rows] = res.content[0].text.trim().split('\n');
+      assert.equal(header, 'id,value,description,created_at');
+      assert.equal(rows.length, 3);
+    } finally {
+      await client.close();
+    }
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,51 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb } from '../db.js';
+import { consume, record, getUsage, parseLimits, toolCallAmounts } from '../usage.js';
+
+const limits = { requests: 2, llmTokens: 100, toolCalls: null, stores: 1 };
+const now = new Date('2026-03-01T10:15:30Z');
+
+before(() => {
+  initDb(':memory:');
+});
+
+test('parseLimits reads the env and treats 0 as unlimited', () => {
+  assert.deepEqual(parseLimits({ RATE_LIMIT_PER_MINUTE: '60', QUOTA_STORES_PER_DAY: '0' }), {
+    requests: 60,
+    llmTokens: null,
+    toolCalls: null,
+    stores: null,
+  });
+  assert.throws(() => parseLimits({ QUOTA_TOOL_CALLS_PER_DAY: '-1' }), /QUOTA_TOOL_CALLS_PER_DAY/);
+});
+
+test('requests are limited per minute and counted only when allowed', () => {
+  assert.equal(consume('ip:a', { requests: 1 }, { limits, now }), null);
+  assert.equal(consume('ip:a', { requests: 1 }, { limits, now }), null);
+  const limited = consume('ip:a', { requests: 1 }, { limits, now });
+  assert.equal(limited.metric, 'requests');
+  assert.equal(limited.retryAfter, 30);
+  assert.equal(limited.resetsAt, '2026-03-01T10:16:00.000Z');
+  assert.match(limited.error, /Rate limit exceeded: 2 requests per minute/);
+
+  assert.equal(consume('ip:a', { requests: 1 }, { limits, now: new Date('2026-03-01T10:16:01Z') }), null);
+  assert.equal(consume('ip:b', { requests: 1 }, { limits, now }), null);
+});
+
+test('a call over one quota counts nothing', () => {
+  assert.equal(consume('token:1', toolCallAmounts('store'), { limits, now }), null);
+  const limited = consume('token:1', toolCallAmounts('store'), { limits, now });
+  assert.equal(limited.metric, 'stores');
+  assert.equal(limited.retryAfter, 49470);
+  assert.equal(getUsage('token:1', { limits, now }).usage.toolCalls.used, 1);
+  assert.equal(consume('token:1', toolCallAmounts('sum'), { limits, now }), null);
+});
+
+test('recorded LLM tokens may pass the quota but block the next run', () => {
+  assert.equal(consume('token:2', { llmTokens: 0 }, { limits, now }), null);
+  record('token:2', 'llmTokens', 150, { now });
+  assert.equal(consume('token:2', { llmTokens: 0 }, { limits, now }).metric, 'llmTokens');
+  const { usage } = getUsage('token:2', { limits, now });
+  assert.deepEqual(usage.llmTokens, { used: 150, limit: 100, window: 'day', resetsAt: '2026-03-02T00:00:00.000Z' });
+});
@@ -0,0 +1,55 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDb, insertEntry, sumEntries, listEntries, updateEntry, getEntry } from '../db.js';
+import { createUser, issueToken, authenticateToken, revokeToken, listTokens, parseScopes, DEFAULT_USER_ID, SCOPES, getUser } from '../users.js';
+
+before(() => {
+  initDb(':memory:');
+});
+
+test('the migration creates the built-in admin', () => {
+  const admin = getUser(DEFAULT_USER_ID);
+  assert.equal(admin.name, 'admin');
+  assert.equal(admin.isAdmin, true);
+});
+
+test('issued tokens authenticate their user until revoked', () => {
+  const alice = createUser({ name: 'alice' });
+  const issued = issueToken(alice.id, { name: 'laptop' });
+  assert.match(issued.token, /^mcp_/);
+  assert.equal(issued.prefix, issued.token.slice(0, 10));
+
+  assert.deepEqual(authenticateToken(issued.token), { user: alice, scopes: SCOPES, tokenId: issued.id });
+  assert.ok(listTokens(alice.id)[0].lastUsedAt);
+  assert.equal(authenticateToken('mcp_unknown'), null);
+  assert.equal(authenticateToken(undefined), null);
+
+  assert.ok(revokeToken(issued.id).revokedAt);
+  assert.equal(revokeToken(issued.id), null);
+  assert.equal(authenticateToken(issued.token), null);
+});
+
+test('entry queries are scoped to the owner', () => {
+  const bob = createUser({ name: 'bob' });
+  const carol = createUser({ name: 'carol' });
+  const entry = insertEntry({ value: 4, description: 'bob' }, { userId: bob.id });
+  insertEntry({ value: 6, description: 'carol' }, { userId: carol.id });
+
+  assert.equal(sumEntries({ userId: bob.id }), 4);
+  assert.equal(sumEntries({ userId: carol.id }), 6);
+  assert.deepEqual(listEntries({ userId: bob.id }).items.map((e) => e.description), ['bob']);
+  assert.equal(getEntry(entry.id, { userId: carol.id }), null);
+  assert.equal(updateEntry(entry.id, { value: 1 }, { userId: carol.id }), null);
+  assert.equal(getEntry(entry.id).value, 4);
+});
+
+test('tokens carry scopes', () => {
+  const dave = createUser({ name: 'dave' });
+  const issued = issueToken(dave.id, { scopes: ['entries:read'] });
+  assert.deepEqual(issued.scopes, ['entries:read']);
+  assert.deepEqual(authenticateToken(issued.token).scopes, ['entries:read']);
+
+  assert.deepEqual(parseScopes('entries:write, entries:read'), { scopes: ['entries:read', 'entries:write'] });
+  assert.match(parseScopes(['entries:delete']).error, /scopes must be/);
+  assert.match(parseScopes([]).error, /scopes must be/);
+});
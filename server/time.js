@@ -0,0 +1,219 @@
+// Timezone helpers built on Intl (no external tz database needed)
+
+export const BUCKETS = ['hour', 'day', 'week', 'month'];
+
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  let fmt = partsFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    partsFormatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+// Wall-clock parts of an instant in the given zone
+export function zonedParts(ms, timeZone) {
+  const parts = {};
+  for (const p of getPartsFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  }
+  return parts;
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+// Label of the bucket containing `ms`, in local time of `timeZone`:
+// hour → 'YYYY-MM-DDTHH:00', day → 'YYYY-MM-DD', week → Monday 'YYYY-MM-DD', month → 'YYYY-MM'
+export function bucketKey(ms, bucket, timeZone = 'UTC') {
+  const { year, month, day, hour } = zonedParts(ms, timeZone);
+  if (bucket === 'hour') return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:00`;
+  if (bucket === 'day') return `${year}-${pad(month)}-${pad(day)}`;
+  if (bucket === 'month') return `${year}-${pad(month)}`;
+  if (bucket === 'week') {
+    const local = new Date(Date.UTC(year, month - 1, day));
+    const sinceMonday = (local.getUTCDay() + 6) % 7;
+    local.setUTCDate(local.getUTCDate() - sinceMonday);
+    return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+  }
+  throw new Error(`Unknown bucket: ${bucket}`);
+}
+
+// Offset (ms) of `timeZone` from UTC at instant `ms`
+function tzOffset(ms, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// UTC instant (ms) of a wall-clock time in `timeZone`; month is 1-based and may overflow (Date.UTC semantics)
+export function zonedTimeToUtc({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = 'UTC') {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const first = guess - tzOffset(guess, timeZone);
+  // Re-evaluate once in case the first guess crossed a DST transition
+  return guess - tzOffset(first, timeZone);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ISO_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+function invalidTimestamp(input) {
+  return new RangeError(`Invalid datetime ${JSON.stringify(input)}: expected ISO 8601 such as 2025-01-01, 2025-01-01T09:30:00Z or 2025-01-01T09:30:00+02:00`);
+}
+
+// Parse an ISO 8601 date/datetime (or epoch ms number) to epoch ms.
+// Values without an offset are wall-clock time in `timezone`; a date-only value is the start of that
+// local day, or its last millisecond with `endOfDay` (for inclusive upper bounds). Throws RangeError.
+export function parseTimestamp(input, { timezone = 'UTC', endOfDay = false } = {}) {
+  if (typeof input === 'number') {
+    if (!Number.isFinite(input)) throw invalidTimestamp(input);
+    return input;
+  }
+  const m = typeof input === 'string' ? ISO_RE.exec(input.trim()) : null;
+  if (!m) throw invalidTimestamp(input);
+  const [, y, mo, d, h, mi, sec, frac, offset] = m;
+  const parts = {
+    year: Number(y),
+    month: Number(mo),
+    day: Number(d),
+    hour: h === undefined ? 0 : Number(h),
+    minute: mi === undefined ? 0 : Number(mi),
+    second: sec === undefined ? 0 : Number(sec),
+    millisecond: frac === undefined ? 0 : Number(frac.slice(0, 3).padEnd(3, '0')),
+  };
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (
+    check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day ||
+    parts.hour > 23 || parts.minute > 59 || parts.second > 59
+  ) {
+    throw invalidTimestamp(input);
+  }
+  const dateOnly = h === undefined;
+  if (dateOnly && endOfDay) {
+    return zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day + 1 }, offset ? 'UTC' : timezone) - 1;
+  }
+  if (offset) {
+    let offsetMs = 0;
+    if (offset.toUpperCase() !== 'Z') {
+      const [, sign, oh, om = '0'] = /^([+-])(\d{2}):?(\d{2})?$/.exec(offset);
+      offsetMs = (sign === '-' ? -1 : 1) * (Number(oh) * 60 + Number(om)) * 60 * 1000;
+    }
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond) - offsetMs;
+  }
+  return zonedTimeToUtc(parts, timezone);
+}
+
+// Validate optional from/to (or a named `range`, see resolvePeriod) into epoch ms bounds;
+// returns { error } or { from, to } (undefined when absent)
+export function parseRange({ from, to, range, timezone = 'UTC' } = {}, { required = false, now } = {}) {
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+  const hasFrom = from !== undefined && from !== '';
+  const hasTo = to !== undefined && to !== '';
+  if (range !== undefined && range !== '') {
+    if (hasFrom || hasTo) {
+      return { error: 'provide either range or from/to, not both' };
+    }
+    try {
+      const bounds = resolvePeriod(range, { timezone, now });
+      return { from: Date.parse(bounds.from), to: Date.parse(bounds.to) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+  if (required && (!hasFrom || !hasTo)) {
+    return { error: 'from and to (or range) are required' };
+  }
+  try {
+    const fromMs = from === undefined || from === '' ? undefined : parseTimestamp(from, { timezone });
+    const toMs = to === undefined || to === '' ? undefined : parseTimestamp(to, { timezone, endOfDay: true });
+    if (fromMs !== undefined && toMs !== undefined && fromMs > toMs) {
+      return { error: 'from must not be after to' };
+    }
+    return { from: fromMs, to: toMs };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+export const PERIODS = ['today', 'yesterday', 'this_week', 'last_week', 'this_month', 'last_month', 'last_7_days', 'last_30_days'];
+
+// Everything resolvePeriod understands, for tool descriptions and error messages
+export const RANGE_HELP = `${PERIODS.join(', ')}, this_year, last_year, last_<N>_(hours|days|weeks|months), YYYY, YYYY-QN, YYYY-MM or YYYY-MM-DD`;
+
+const ROLLING_UNITS_MS = { hours: 60 * 60 * 1000, days: DAY_MS, weeks: 7 * DAY_MS };
+
+// Resolve a named or calendar range to inclusive ISO bounds { from, to } using local calendar days in `timezone`.
+// Calendar periods (today, this_week, 2025-Q3, ...) cover whole local days; last_<N>_<unit> is rolling up to `now`.
+export function resolvePeriod(period, { timezone = 'UTC', now = Date.now() } = {}) {
+  const { year, month, day } = zonedParts(now, timezone);
+  const dayStart = (offsetDays) => zonedTimeToUtc({ year, month, day: day + offsetDays }, timezone);
+  const monthStart = (y, m) => zonedTimeToUtc({ year: y, month: m }, timezone);
+  const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+  const range = (start, end) => ({ from: new Date(start).toISOString(), to: new Date(end - 1).toISOString() });
+  const value = typeof period === 'string' ? period.trim().toLowerCase() : '';
+
+  switch (value) {
+    case 'today': return range(dayStart(0), dayStart(1));
+    case 'yesterday': return range(dayStart(-1), dayStart(0));
+    case 'this_week': return range(dayStart(-weekday), dayStart(7 - weekday));
+    case 'last_week': return range(dayStart(-weekday - 7), dayStart(-weekday));
+    case 'this_month': return range(monthStart(year, month), monthStart(year, month + 1));
+    case 'last_month': return range(monthStart(year, month - 1), monthStart(year, month));
+    case 'this_year': return range(monthStart(year, 1), monthStart(year + 1, 1));
+    case 'last_year': return range(monthStart(year - 1, 1), monthStart(year, 1));
+    default: break;
+  }
+
+  let m = /^last_(\d+)_(hours|days|weeks|months)$/.exec(value);
+  if (m && Number(m[1]) > 0) {
+    const n = Number(m[1]);
+    if (m[2] === 'months') {
+      const { hour, minute, second } = zonedParts(now, timezone);
+      const start = zonedTimeToUtc({ year, month: month - n, day, hour, minute, second, millisecond: now % 1000 }, timezone);
+      return range(start, now + 1);
+    }
+    return range(now - n * ROLLING_UNITS_MS[m[2]], now + 1);
+  }
+  if ((m = /^(\d{4})$/.exec(value))) {
+    const y = Number(m[1]);
+    return range(monthStart(y, 1), monthStart(y + 1, 1));
+  }
+  if ((m = /^(\d{4})-q([1-4])$/.exec(value))) {
+    const y = Number(m[1]);
+    const first = (Number(m[2]) - 1) * 3 + 1;
+    return range(monthStart(y, first), monthStart(y, first + 3));
+  }
+  if ((m = /^(\d{4})-(\d{2})$/.exec(value)) && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
+    const y = Number(m[1]);
+    const mo = Number(m[2]);
+    return range(monthStart(y, mo), monthStart(y, mo + 1));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = parseTimestamp(value, { timezone });
+    return range(start, parseTimestamp(value, { timezone, endOfDay: true }) + 1);
+  }
+  throw new RangeError(`Unknown range ${JSON.stringify(period)}: expected ${RANGE_HELP}`);
+}
@@ -0,0 +1,50 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+
+// Trace ids that follow a request through LLM steps and MCP tool calls. The id comes from the `X-Trace-Id`
+// request header or the trace id of a W3C `traceparent` header, else a new one; it is echoed as `X-Trace-Id`,
+// forwarded to MCP servers in the `_meta.traceId` of tool calls, and prefixed to log lines as `[trace <id>]`.
+
+const storage = new AsyncLocalStorage();
+const TRACE_ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+
+export function newTraceId() {
+  return randomBytes(16).toString('hex');
+}
+
+export function currentTraceId() {
+  return storage.getStore()?.traceId;
+}
+
+// Runs `fn` with `traceId` as the current trace (a new id when it is missing or malformed)
+export function withTrace(traceId, fn) {
+  return storage.run({ traceId: TRACE_ID_RE.test(traceId || '') ? traceId : newTraceId() }, fn);
+}
+
+// Express middleware: every request runs in its own trace
+export function traceRequests(req, res, next) {
+  const traceparent = /^[0-9a-f]{2}-([0-9a-f]{32})-/.exec(req.headers['traceparent'] || '');
+  withTrace(req.headers['x-trace-id'] || traceparent?.[1], () => {
+    res.set('X-Trace-Id', currentTraceId());
+    next();
+  });
+}
+
+// `_meta` for outgoing MCP requests
+export function traceMeta() {
+  const traceId = currentTraceId();
+  return traceId ? { traceId } : undefined;
+}
+
+function prefixed(args) {
+  const traceId = currentTraceId();
+  return traceId ? [`[trace ${traceId}]`, ...args] : args;
+}
+
+export function log(...args) {
+  console.log(...prefixed(args));
+}
+
+export function logError(...args) {
+  console.error(...prefixed(args));
+}
@@ -0,0 +1,179 @@
+import { insertEntries } from './db.js';
+import { parseTimestamp } from './time.js';
+
+// Entry import/export shared by the REST routes and the MCP `export`/`import` tools.
+// Exports list entries oldest first as csv (header id,value,description,created_at), a json array or ndjson.
+// Imports take the same formats; each row needs `value` (integer) and `description` and may carry `created_at`
+// (ISO datetime, default: now). `id` and unknown columns are ignored. Rows are validated one by one and
+// inserted in one transaction: any invalid row means nothing is imported.
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+export const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', json: 'application/json', ndjson: 'application/x-ndjson' };
+export const IMPORT_MAX_ROWS = 10000;
+const EXPORT_COLUMNS = ['id', 'value', 'description', 'created_at'];
+// Errors listed in an import summary; errorCount has the full count
+const MAX_REPORTED_ERRORS = 100;
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Export text in chunks (one per batch of entryBatches()), for streaming
+export function* exportChunks(format, batches) {
+  if (format === 'csv') yield `${EXPORT_COLUMNS.join(',')}\n`;
+  if (format === 'json') yield '[';
+  let first = true;
+  for (const batch of batches) {
+    if (format === 'csv') {
+      yield batch.map((e) => `${EXPORT_COLUMNS.map((c) => csvField(e[c])).join(',')}\n`).join('');
+    } else if (format === 'ndjson') {
+      yield batch.map((e) => `${JSON.stringify(e)}\n`).join('');
+    } else {
+      yield `${first ? '\n' : ',\n'}${batch.map((e) => JSON.stringify(e)).join(',\n')}`;
+    }
+    first = false;
+  }
+  if (format === 'json') yield first ? ']\n' : '\n]\n';
+}
+
+// RFC 4180 CSV → array of records (arrays of strings); throws on an unterminated quote
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (quoted) throw new Error('unterminated quoted field');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+// Import text (or, for json, an already parsed array) → { rows: [{ row, item } | { row, error }] } or { error }.
+// Row numbers count data rows from 1 (the csv header is not a row).
+export function parseImport(format, data) {
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  let rows;
+  if (format === 'json') {
+    let items = data;
+    if (typeof data === 'string') {
+      try {
+        items = JSON.parse(data);
+      } catch (e) {
+        return { error: `invalid JSON: ${e.message}` };
+      }
+    }
+    if (!Array.isArray(items)) return { error: 'json import must be an array of entries' };
+    rows = items.map((item, i) => ({ row: i + 1, item }));
+  } else if (typeof data !== 'string') {
+    return { error: `${format} import data must be text` };
+  } else if (format === 'ndjson') {
+    rows = data.split(/\r?\n/).filter((line) => line.trim()).map((line, i) => {
+      try {
+        return { row: i + 1, item: JSON.parse(line) };
+      } catch (e) {
+        return { row: i + 1, error: `invalid JSON: ${e.message}` };
+      }
+    });
+  } else {
+    let records;
+    try {
+      records = parseCsv(data);
+    } catch (e) {
+      return { error: `invalid CSV: ${e.message}` };
+    }
+    const [header = [], ...body] = records;
+    const columns = header.map((c) => c.trim().toLowerCase());
+    if (!columns.includes('value') || !columns.includes('description')) {
+      return { error: 'CSV header must include value and description' };
+    }
+    rows = body.map((values, i) => ({ row: i + 1, item: Object.fromEntries(columns.map((c, j) => [c, values[j]])) }));
+  }
+  if (rows.length > IMPORT_MAX_ROWS) return { error: `at most ${IMPORT_MAX_ROWS} rows per import` };
+  return { rows };
+}
+
+// One import row → { value, description, createdAtMs? } or { error }. CSV values arrive as strings.
+export function validateImportRow(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: 'row must be an object' };
+  let { value, description, created_at: createdAt } = item;
+  if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) value = Number(value);
+  if (typeof value !== 'number' || !Number.isSafeInteger(value)) return { error: 'value must be an integer' };
+  if (typeof description !== 'string' || !description.trim()) return { error: 'description is required' };
+  if (createdAt === undefined || createdAt === null || createdAt === '') return { value, description };
+  try {
+    return { value, description, createdAtMs: parseTimestamp(createdAt) };
+  } catch {
+    return { error: 'created_at must be an ISO datetime' };
+  }
+}
+
+// Parses and validates every row → { error } for unreadable input, else { total, items, errors }
+function checkImport(format, data) {
+  const parsed = parseImport(format, data);
+  if (parsed.error) return { error: parsed.error };
+  const errors = [];
+  const items = [];
+  for (const { row, item, error } of parsed.rows) {
+    const result = error ? { error } : validateImportRow(item);
+    if (result.error) errors.push({ row, error: result.error });
+    else items.push(result);
+  }
+  return { total: parsed.rows.length, items, errors };
+}
+
+// Number of entries an import would store: every row when all are valid, else none (dry runs store nothing)
+export function importStoreCount(format, data, { dryRun = false } = {}) {
+  if (dryRun) return 0;
+  const checked = checkImport(format, data);
+  return checked.error || checked.errors.length ? 0 : checked.items.length;
+}
+
+// Validates every row and, unless `dryRun` or a row is invalid, inserts them all in one transaction.
+// Returns { error } for unreadable input, else { dryRun, total, valid, imported, errorCount, errors: [{ row, error }] }.
+export function importEntries(format, data, { dryRun = false, actor, userId } = {}) {
+  const checked = checkImport(format, data);
+  if (checked.error) return { error: checked.error };
+  const { items, errors } = checked;
+  const imported = dryRun || errors.length ? 0 : insertEntries(items, { actor, userId }).length;
+  return {
+    dryRun,
+    total: checked.total,
+    valid: items.length,
+    imported,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+  };
+}
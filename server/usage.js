@@ -0,0 +1,131 @@
+import { getDb } from './db.js';
+import { importStoreCount } from './transfer.js';
+
+// Rate limits and daily quotas per caller. A caller ("subject") is `token:<id>` for API tokens and
+// `ip:<address>` otherwise. Counters are kept in SQLite (usage_counters) in fixed UTC windows:
+//   requests   — chat requests, REST tool calls and MCP tools/call per minute (RATE_LIMIT_PER_MINUTE)
+//   llmTokens  — LLM tokens used by chat runs per day (QUOTA_LLM_TOKENS_PER_DAY)
+//   toolCalls  — tool calls per day, from REST, MCP sessions and chat runs (QUOTA_TOOL_CALLS_PER_DAY)
+//   stores     — entries stored by store/store_many/import per day (QUOTA_STORES_PER_DAY)
+// Unset or 0 means unlimited.
+
+export const METRICS = {
+  requests: { window: 'minute', env: 'RATE_LIMIT_PER_MINUTE', label: 'requests per minute' },
+  llmTokens: { window: 'day', env: 'QUOTA_LLM_TOKENS_PER_DAY', label: 'LLM tokens per day' },
+  toolCalls: { window: 'day', env: 'QUOTA_TOOL_CALLS_PER_DAY', label: 'tool calls per day' },
+  stores: { window: 'day', env: 'QUOTA_STORES_PER_DAY', label: 'stores per day' },
+};
+
+// Days of counters kept before they are pruned
+const RETAIN_DAYS = 2;
+
+export function parseLimits(env = process.env) {
+  const limits = {};
+  for (const [metric, { env: key }] of Object.entries(METRICS)) {
+    const raw = env[key];
+    const n = raw === undefined || raw === '' ? 0 : Number(raw);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${key} must be a non-negative integer`);
+    limits[metric] = n || null;
+  }
+  return limits;
+}
+
+let cached = null;
+
+export function getLimits() {
+  if (!cached) cached = parseLimits();
+  return cached;
+}
+
+// Window key and reset time of `metric` at `now`
+function windowOf(metric, now) {
+  const iso = now.toISOString();
+  if (METRICS[metric].window === 'minute') {
+    const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes());
+    return { period: iso.slice(0, 16), resetsAt: new Date(start + 60_000) };
+  }
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return { period: iso.slice(0, 10), resetsAt: new Date(start + 86_400_000) };
+}
+
+function used(subject, metric, period) {
+  const row = getDb().prepare('SELECT amount FROM usage_counters WHERE subject = ? AND metric = ? AND period = ?').get(subject, metric, period);
+  return row ? row.amount : 0;
+}
+
+function add(subject, metric, period, amount) {
+  getDb()
+    .prepare(`INSERT INTO usage_counters(subject, metric, period, amount) VALUES(?, ?, ?, ?)
+      ON CONFLICT(subject, metric, period) DO UPDATE SET amount = amount + excluded.amount`)
+    .run(subject, metric, period, amount);
+}
+
+let prunedDay = null;
+
+function prune(now) {
+  const day = now.toISOString().slice(0, 10);
+  if (prunedDay === day) return;
+  prunedDay = day;
+  const cutoff = new Date(now.getTime() - RETAIN_DAYS * 86_400_000).toISOString().slice(0, 10);
+  getDb().prepare('DELETE FROM usage_counters WHERE period < ?').run(cutoff);
+}
+
+// Counts `amounts` ({ metric: n }) for `subject` unless that would exceed a limit. A 0 amount only checks that
+// the metric is not used up yet (e.g. LLM tokens, which are only known after a run). Returns null when allowed,
+// or { error, metric, limit, used, retryAfter (seconds), resetsAt } without counting anything.
+export function consume(subject, amounts, { limits = getLimits(), now = new Date() } = {}) {
+  return getDb().transaction(() => {
+    prune(now);
+    const windows = Object.keys(amounts).map((metric) => ({ metric, amount: amounts[metric], ...windowOf(metric, now) }));
+    for (const { metric, amount, period, resetsAt } of windows) {
+      const limit = limits[metric];
+      if (!limit) continue;
+      const current = used(subject, metric, period);
+      if (amount > 0 ? current + amount > limit : current >= limit) {
+        const kind = METRICS[metric].window === 'minute' ? 'Rate limit' : 'Daily quota';
+        return {
+          error: `${kind} exceeded: ${limit} ${METRICS[metric].label}`,
+          metric,
+          limit,
+          used: current,
+          retryAfter: Math.max(1, Math.ceil((resetsAt.getTime() - now.getTime()) / 1000)),
+          resetsAt: resetsAt.toISOString(),
+        };
+      }
+    }
+    for (const { metric, amount, period } of windows) {
+      if (amount > 0) add(subject, metric, period, amount);
+    }
+    return null;
+  })();
+}
+
+// Counts usage that was already spent (LLM tokens of a finished step), even past the limit
+export function record(subject, metric, amount, { now = new Date() } = {}) {
+  if (!subject || !(amount > 0)) return;
+  add(subject, metric, windowOf(metric, now).period, amount);
+}
+
+// Current consumption of `subject`: { subject, usage: { metric: { used, limit, window, resetsAt } } }
+export function getUsage(subject, { limits = getLimits(), now = new Date() } = {}) {
+  const usage = {};
+  for (const [metric, { window }] of Object.entries(METRICS)) {
+    const { period, resetsAt } = windowOf(metric, now);
+    usage[metric] = { used: used(subject, metric, period), limit: limits[metric], window, resetsAt: resetsAt.toISOString() };
+  }
+  return { subject, usage };
+}
+
+// Number of entries a call of `toolName` with `args` stores
+function storeCount(toolName, args) {
+  if (toolName === 'store') return 1;
+  if (toolName === 'store_many') return Array.isArray(args?.items) ? args.items.length : 0;
+  if (toolName === 'import') return importStoreCount(args?.format, args?.data, { dryRun: args?.dryRun === true });
+  return 0;
+}
+
+// Tool-call amounts for one call of `toolName` on this server
+export function toolCallAmounts(toolName, { request = false, args } = {}) {
+  const stores = storeCount(toolName, args);
+  return { ...(request ? { requests: 1 } : {}), toolCalls: 1, ...(stores ? { stores } : {}) };
+}
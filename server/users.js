@@ -0,0 +1,102 @@
+import { createHash, randomBytes } from 'crypto';
+import { getDb } from './db.js';
+
+// Users and their API tokens. Tokens are random `mcp_...` strings shown once at creation; only their SHA-256 hash
+// is stored. The built-in admin user (id 1, created by migration 5) owns data created without authentication.
+
+export const DEFAULT_USER_ID = 1;
+const TOKEN_PREFIX = 'mcp_';
+
+// What a token may do with its user's entries. The admin token and unauthenticated local mode have every scope.
+export const SCOPES = ['entries:read', 'entries:write'];
+
+// Array or space/comma-separated string → { scopes } or { error }
+export function parseScopes(value) {
+  const scopes = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/).filter(Boolean);
+  const unknown = scopes.filter((s) => !SCOPES.includes(s));
+  if (unknown.length || !scopes.length) {
+    return { error: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` };
+  }
+  return { scopes: SCOPES.filter((s) => scopes.includes(s)) };
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function rowToUser(r) {
+  return { id: r.id, name: r.name, isAdmin: !!r.is_admin, createdAt: r.created_at };
+}
+
+function rowToToken(r) {
+  return {
+    id: r.id,
+    userId: r.user_id,
+    name: r.name,
+    prefix: r.token_prefix,
+    createdAt: r.created_at,
+    scopes: r.scopes.split(' '),
+    lastUsedAt: r.last_used_at,
+    revokedAt: r.revoked_at,
+  };
+}
+
+export function createUser({ name, isAdmin = false }) {
+  const now = new Date().toISOString();
+  const info = getDb().prepare('INSERT INTO users(name, is_admin, created_at) VALUES(?, ?, ?)').run(name, isAdmin ? 1 : 0, now);
+  return getUser(info.lastInsertRowid);
+}
+
+export function getUser(id) {
+  const row = getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+  return row ? rowToUser(row) : null;
+}
+
+export function getUserByName(name) {
+  const row = getDb().prepare('SELECT * FROM users WHERE name = ?').get(name);
+  return row ? rowToUser(row) : null;
+}
+
+export function listUsers() {
+  return getDb().prepare(`SELECT u.*, (SELECT COUNT(1) FROM api_tokens t WHERE t.user_id = u.id AND t.revoked_at IS NULL) AS active_tokens
+    FROM users u ORDER BY u.id ASC`).all().map((r) => ({ ...rowToUser(r), activeTokens: r.active_tokens }));
+}
+
+// Returns the token metadata plus the plaintext `token`, which cannot be retrieved again
+export function issueToken(userId, { name = '', scopes = SCOPES } = {}) {
+  const token = TOKEN_PREFIX + randomBytes(24).toString('base64url');
+  const now = new Date().toISOString();
+  const info = getDb()
+    .prepare('INSERT INTO api_tokens(user_id, name, token_hash, token_prefix, scopes, created_at) VALUES(?, ?, ?, ?, ?, ?)')
+    .run(userId, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scopes.join(' '), now);
+  return { ...getToken(info.lastInsertRowid), token };
+}
+
+export function getToken(id) {
+  const row = getDb().prepare('SELECT * FROM api_tokens WHERE id = ?').get(id);
+  return row ? rowToToken(row) : null;
+}
+
+export function listTokens(userId) {
+  return getDb().prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY id ASC').all(userId).map(rowToToken);
+}
+
+// Returns the revoked token, or null if it does not exist or was already revoked
+export function revokeToken(id) {
+  const info = getDb()
+    .prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+    .run(new Date().toISOString(), id);
+  return info.changes ? getToken(id) : null;
+}
+
+// { user, scopes, tokenId } for a plaintext token, or null for unknown and revoked tokens
+export function authenticateToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  const row = getDb()
+    .prepare(`SELECT t.id AS token_id, t.scopes AS token_scopes, u.* FROM api_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.revoked_at IS NULL`)
+    .get(hashToken(token));
+  if (!row) return null;
+  getDb().prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.token_id);
+  return { user: rowToUser(row), scopes: row.token_scopes.split(' '), tokenId: row.token_id };
+}
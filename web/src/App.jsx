@@ -1,7 +1,18 @@
 import React, { useEffect, useMemo, useState } from 'react'
 
+const TOKEN_KEY = 'apiToken'
+
+// fetch() for /api routes with the API token saved in the header bar
+function apiFetch(url, init = {}) {
+  const token = localStorage.getItem(TOKEN_KEY)
+  if (!token) return fetch(url, init)
+  return fetch(url, { ...init, headers: { ...init.headers, Authorization: `Bearer ${token}` } })
+}
+
+// Entries page from GET /api/entries; filters apply on the next load
 function useEntries(pageSize = 10) {
   const [page, setPage] = useState(1)
+  const [filters, setFilters] = useState({ q: '', minValue: '', maxValue: '', range: '', sort: '', order: '' })
   const [data, setData] = useState({ items: [], page: 1, pageSize, total: 0, pages: 1 })
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -10,8 +21,13 @@ function useEntries(pageSize = 10) {
     setLoading(true)
     setError(null)
     try {
-      const r = await fetch(`/api/entries?page=${nextPage}&pageSize=${pageSize}`)
+      const params = new URLSearchParams({ page: String(nextPage), pageSize: String(pageSize) })
+      for (const [key, value] of Object.entries(filters)) {
+        if (value.trim()) params.set(key, value.trim())
+      }
+      const r = await apiFetch(`/api/entries?${params}`)
       const j = await r.json()
+      if (!r.ok) throw new Error(j.error || r.status)
       setData(j)
     } catch (e) {
       setError(String(e))
@@ -22,23 +38,288 @@ function useEntries(pageSize = 10) {
 
   useEffect(() => { load(1) }, [])
 
-  return { data, page, setPage, load, loading, error }
+  return { filters, setFilters, data, page, setPage, load, loading, error }
+}
+
+// Search snippet with the matched words (wrapped in ** by the server) highlighted
+function Snippet({ text }) {
+  return text.split('**').map((part, i) => (i % 2 ? <mark key={i}>{part}</mark> : part))
+}
+
+function useConversations() {
+  const [items, setItems] = useState([])
+
+  const refresh = async () => {
+    try {
+      const r = await apiFetch('/api/conversations')
+      const j = await r.json()
+      setItems(j.items || [])
+    } catch (e) {
+      setItems([])
+    }
+  }
+
+  useEffect(() => { refresh() }, [])
+
+  return { items, refresh }
+}
+
+// The user the saved API token belongs to (null when the server rejects it)
+function useMe() {
+  const [me, setMe] = useState(undefined)
+
+  useEffect(() => {
+    apiFetch('/api/me')
+      .then(r => (r.ok ? r.json() : null))
+      .then(setMe)
+      .catch(() => setMe(null))
+  }, [])
+
+  return me
+}
+
+// Configured LLM providers and model allowlists from GET /api/models
+function useModels() {
+  const [models, setModels] = useState({ defaultProvider: null, providers: [], maxSteps: null })
+
+  useEffect(() => {
+    apiFetch('/api/models')
+      .then(r => r.json())
+      .then(setModels)
+      .catch(() => {})
+  }, [])
+
+  return models
+}
+
+// Stored conversation messages → chat bubbles (tool calls/results are folded into the assistant turn)
+function toChatMessages(messages) {
+  const out = []
+  let current = null
+  for (const m of messages || []) {
+    if (m.role === 'user') {
+      current = null
+      out.push({ role: 'user', content: m.content })
+      continue
+    }
+    if (!current) {
+      current = { role: 'assistant', content: '', tools: [] }
+      out.push(current)
+    }
+    if (m.role === 'assistant') {
+      current.content += m.content || ''
+      for (const tc of m.toolCalls || []) current.tools.push({ id: tc.id, name: tc.name, args: tc.args })
+    } else if (m.role === 'tool') {
+      const t = current.tools.find((x) => x.id === m.toolCallId)
+      if (t) Object.assign(t, { output: m.content, isError: !!m.isError })
+    }
+  }
+  // A run paused at confirm-policy tool calls leaves them without results
+  const last = out[out.length - 1]
+  if (last?.role === 'assistant' && last.tools.some((t) => t.output === undefined)) last.awaitingApproval = true
+  return out
+}
+
+// Minimal SSE reader for fetch() responses: calls onEvent(event, data) per message
+async function readSse(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    let idx
+    while ((idx = buffer.indexOf('\n\n')) >= 0) {
+      const raw = buffer.slice(0, idx)
+      buffer = buffer.slice(idx + 2)
+      let event = 'message'
+      let data = ''
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data += line.slice(5).trim()
+      }
+      onEvent(event, data ? JSON.parse(data) : {})
+    }
+  }
+}
+
+// Apply one typed stream event to the in-progress assistant message
+function applyStreamEvent(msg, event, data) {
+  switch (event) {
+    case 'mcp-error':
+      return { ...msg, mcpErrors: [...(msg.mcpErrors || []), data] }
+    case 'step-start':
+      return { ...msg, status: `step ${data.step}` }
+    case 'tool-call':
+      return { ...msg, tools: [...msg.tools, { id: data.toolCallId, name: data.toolName, args: data.args }] }
+    case 'tool-result':
+      return {
+        ...msg,
+        tools: msg.tools.map((t) => (t.id === data.toolCallId ? { ...t, output: data.output, isError: data.isError } : t))
+      }
+    case 'text-delta':
+      return { ...msg, content: msg.content + data.text }
+    case 'usage':
+      return { ...msg, usage: data }
+    case 'approval-required':
+      return { ...msg, awaitingApproval: true }
+    case 'finish':
+      return { ...msg, status: null, finishReason: data.finishReason, usage: data.usage, provider: data.provider, model: data.model }
+    case 'error':
+      return { ...msg, status: null, error: data.message }
+    default:
+      return msg
+  }
+}
+
+// Audit log page from GET /api/audit; filters apply on the next load
+function useAudit(pageSize = 20) {
+  const [filters, setFilters] = useState({ source: '', tool: '', isError: '' })
+  const [data, setData] = useState({ items: [], page: 1, pageSize, total: 0, pages: 1 })
+  const [error, setError] = useState(null)
+
+  const load = async (nextPage = 1) => {
+    setError(null)
+    const params = new URLSearchParams({ page: String(nextPage), pageSize: String(pageSize) })
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value)
+    }
+    try {
+      const r = await apiFetch(`/api/audit?${params}`)
+      const j = await r.json()
+      if (!r.ok) throw new Error(j.error || r.status)
+      setData(j)
+    } catch (e) {
+      setError(String(e))
+    }
+  }
+
+  useEffect(() => { load(1) }, [])
+
+  return { filters, setFilters, data, load, error }
+}
+
+function AuditLog() {
+  const { filters, setFilters, data, load, error } = useAudit()
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value })
+  const search = (e) => {
+    e.preventDefault()
+    load(1)
+  }
+
+  return (
+    <section className="card mb-3">
+      <div className="card-body">
+        <h3 className="h5 card-title mb-3">Audit log</h3>
+        <form onSubmit={search} className="d-flex flex-wrap gap-2 align-items-center">
+          <select value={filters.source} onChange={setFilter('source')} className="form-select w-auto">
+            <option value="">all sources</option>
+            <option value="rest">rest</option>
+            <option value="mcp">mcp</option>
+            <option value="chat">chat</option>
+          </select>
+          <input
+            type="text"
+            placeholder="tool"
+            value={filters.tool}
+            onChange={setFilter('tool')}
+            className="form-control"
+            style={{ width: '160px' }}
+          />
+          <select value={filters.isError} onChange={setFilter('isError')} className="form-select w-auto">
+            <option value="">all results</option>
+            <option value="true">errors</option>
+            <option value="false">successes</option>
+          </select>
+          <button type="submit" className="btn btn-primary">Filter</button>
+        </form>
+        {error && <div className="text-danger small mt-3">{error}</div>}
+        <div className="table-responsive mt-3">
+          <table className="table table-sm table-striped align-middle small">
+            <thead>
+              <tr>
+                <th scope="col" className="text-start">Time</th>
+                <th scope="col" className="text-start">Source</th>
+                <th scope="col" className="text-start">Tool</th>
+                <th scope="col" className="text-start">Caller</th>
+                <th scope="col" className="text-start">Session / conversation</th>
+                <th scope="col" className="text-start">Args</th>
+                <th scope="col" className="text-start">Result</th>
+                <th scope="col" className="text-end">ms</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.items.map((a) => (
+                <tr key={a.id}>
+                  <td>{new Date(a.createdAt).toLocaleString()}</td>
+                  <td>{a.source}</td>
+                  <td className="font-monospace">{a.tool}</td>
+                  <td>{a.userName || a.userId}{a.subject && <div className="text-body-secondary">{a.subject}</div>}</td>
+                  <td className="text-truncate" style={{ maxWidth: '140px' }}>
+                    {a.sessionId || (a.conversationId ? `conversation ${a.conversationId}` : '')}
+                  </td>
+                  <td className="font-monospace text-truncate" style={{ maxWidth: '200px' }} title={JSON.stringify(a.args)}>
+                    {JSON.stringify(a.args)}
+                  </td>
+                  <td className={`text-truncate ${a.isError ? 'text-danger' : ''}`} style={{ maxWidth: '260px' }} title={a.result}>
+                    {a.result}
+                  </td>
+                  <td className="text-end">{a.durationMs}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="d-flex align-items-center gap-2">
+          <div className="btn-group" role="group" aria-label="Pagination">
+            <button onClick={() => load(data.page - 1)} disabled={data.page <= 1} className="btn btn-outline-light btn-sm">Prev</button>
+            <button onClick={() => load(data.page + 1)} disabled={data.page >= data.pages} className="btn btn-outline-light btn-sm">Next</button>
+          </div>
+          <span className="ms-2 small">Page {data.page} / {data.pages} · {data.total} calls</span>
+        </div>
+      </div>
+    </section>
+  )
 }
 
 export default function App() {
   const pageSize = 10
-  const { data, page, setPage, load, loading } = useEntries(pageSize)
+  const { filters: entryFilters, setFilters: setEntryFilters, data, page, setPage, load, loading, error: entriesError } = useEntries(pageSize)
 
   const [storeValue, setStoreValue] = useState('')
   const [storeDesc, setStoreDesc] = useState('')
   const [storeResult, setStoreResult] = useState(null)
   const [sumFrom, setSumFrom] = useState('')
   const [sumTo, setSumTo] = useState('')
+  const [sumRange, setSumRange] = useState('')
   const [sumResult, setSumResult] = useState(null)
+  const [statsGroupBy, setStatsGroupBy] = useState('day')
+  const [statsTimezone, setStatsTimezone] = useState(() => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC')
+  const [statsByDesc, setStatsByDesc] = useState(false)
+  const [statsResult, setStatsResult] = useState(null)
+  const [importDryRun, setImportDryRun] = useState(true)
+  const [importResult, setImportResult] = useState(null)
 
   const [chatInput, setChatInput] = useState('')
   const [chatLoading, setChatLoading] = useState(false)
   const [chatMessages, setChatMessages] = useState([])
+  const [conversationId, setConversationId] = useState(null)
+  const models = useModels()
+  const [modelChoice, setModelChoice] = useState('') // "<provider>::<model>", empty = server default
+  const [temperature, setTemperature] = useState('')
+  const conversations = useConversations()
+  const me = useMe()
+  const [tokenInput, setTokenInput] = useState(() => localStorage.getItem(TOKEN_KEY) || '')
+  const [tab, setTab] = useState('main') // 'main' | 'audit'
+
+  // Every view is scoped to the token's user, so reload everything after switching tokens
+  const saveToken = (e) => {
+    e.preventDefault()
+    if (tokenInput.trim()) localStorage.setItem(TOKEN_KEY, tokenInput.trim())
+    else localStorage.removeItem(TOKEN_KEY)
+    window.location.reload()
+  }
 
   const pages = useMemo(() => data.pages || 1, [data.pages])
 
@@ -54,7 +335,7 @@ export default function App() {
       alert('Description is required')
       return
     }
-    const r = await fetch('/api/tools/store', {
+    const r = await apiFetch('/api/tools/store', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ value, description })
@@ -64,23 +345,73 @@ export default function App() {
     await load(page)
   }
 
+  // Downloads go through fetch so the API token header is sent
+  const exportEntries = async (format) => {
+    const r = await apiFetch(`/api/entries/export?format=${format}`)
+    if (!r.ok) {
+      alert(`Export failed: ${(await r.json()).error || r.status}`)
+      return
+    }
+    const url = URL.createObjectURL(await r.blob())
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `entries.${format}`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // The format follows the file extension (.csv, .json, .ndjson)
+  const importFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const format = file.name.split('.').pop().toLowerCase()
+    const r = await apiFetch(`/api/entries/import?format=${encodeURIComponent(format)}&dryRun=${importDryRun}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: await file.text()
+    })
+    setImportResult(await r.json())
+    await load(1)
+    setPage(1)
+  }
+
   const doSum = async (e) => {
     e?.preventDefault()
     const from = sumFrom.trim()
     const to = sumTo.trim()
-    if (!from || !to) {
-      alert('Provide from and to (ISO datetime)')
+    if (!sumRange && (!from || !to)) {
+      alert('Provide a range, or from and to (ISO datetime)')
       return
     }
-    const r = await fetch(`/api/tools/sum?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`)
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+    const params = sumRange ? new URLSearchParams({ range: sumRange, timezone }) : new URLSearchParams({ from, to, timezone })
+    const r = await apiFetch(`/api/tools/sum?${params}`)
     const j = await r.json()
     setSumResult(j)
   }
 
+  const doStats = async (e) => {
+    e?.preventDefault()
+    const params = new URLSearchParams({ timezone: statsTimezone.trim() || 'UTC' })
+    if (statsGroupBy) params.set('groupBy', statsGroupBy)
+    if (statsByDesc) params.set('byDescription', 'true')
+    const r = await apiFetch(`/api/stats?${params}`)
+    const j = await r.json()
+    setStatsResult(j)
+  }
+
+  const setEntryFilter = (key) => (e) => setEntryFilters({ ...entryFilters, [key]: e.target.value })
+  const filterEntries = async (e) => {
+    e.preventDefault()
+    setPage(1)
+    await load(1)
+  }
+
   const goto = async (p) => {
     const clamped = Math.max(1, Math.min(pages, p))
     setPage(clamped)
-    await fetch(`/api/entries?page=${clamped}&pageSize=${pageSize}`)
+    await apiFetch(`/api/entries?page=${clamped}&pageSize=${pageSize}`)
       .then(r => r.json())
       .then(j => {
         // quick set to avoid flicker
@@ -90,6 +421,78 @@ export default function App() {
     await load(clamped)
   }
 
+  const openConversation = async (id) => {
+    const r = await apiFetch(`/api/conversations/${id}`)
+    if (!r.ok) {
+      await conversations.refresh()
+      return
+    }
+    const j = await r.json()
+    setConversationId(j.id)
+    setChatMessages(toChatMessages(j.messages))
+  }
+
+  const newConversation = () => {
+    setConversationId(null)
+    setChatMessages([])
+  }
+
+  const renameConversation = async (c) => {
+    const title = window.prompt('Rename conversation', c.title || '')
+    if (!title || !title.trim()) return
+    await apiFetch(`/api/conversations/${c.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: title.trim() })
+    })
+    await conversations.refresh()
+  }
+
+  const deleteConversation = async (c) => {
+    if (!window.confirm(`Delete conversation "${c.title || c.id}"?`)) return
+    await apiFetch(`/api/conversations/${c.id}`, { method: 'DELETE' })
+    if (c.id === conversationId) newConversation()
+    await conversations.refresh()
+  }
+
+  // Per-request provider/model/temperature; omitted fields fall back to the server defaults
+  const chatOptions = () => {
+    const options = {}
+    if (modelChoice) {
+      const [provider, model] = modelChoice.split('::')
+      Object.assign(options, { provider, model })
+    }
+    if (temperature !== '') options.temperature = Number(temperature)
+    return options
+  }
+
+  // Stream one chat request into the assistant bubble that follows `base`
+  const streamChat = async (body, base, assistant) => {
+    setChatMessages([...base, assistant])
+    try {
+      // Available endpoints: 
+      // /api/chat: explicit flow talking to MCP
+      // /api/chat-ai: use AI SDK to talk to MCP
+      // /api/chat-ai-stream: use AI SDK to talk to MCP and stream typed events (steps, tool calls/results, text)
+      const r = await apiFetch('/api/chat-ai-stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, ...chatOptions() })
+      })
+      if (!r.ok) {
+        const j = await r.json().catch(() => ({}))
+        setChatMessages([...base, { ...assistant, status: null, error: j.error || r.status }])
+        return
+      }
+      await readSse(r, (event, data) => {
+        assistant = applyStreamEvent(assistant, event, data)
+        setChatMessages([...base, assistant])
+      })
+    } catch (err) {
+      setChatMessages([...base, { ...assistant, status: null, error: `Request failed: ${String(err)}` }])
+    }
+  }
+
   const sendChat = async (e) => {
     e?.preventDefault()
     const content = chatInput.trim()
@@ -99,25 +502,58 @@ export default function App() {
     setChatMessages(next)
     setChatInput('')
     try {
-      // Available endpoints: 
-      // /api/chat: explicit flow talking to MCP
-      // /api/chat-ai: use AI SDK to talk to MCP
-      // /api/chat-ai-stream: use AI SDK to talk to MCP and stream the response
-      const r = await fetch('/api/chat-ai', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ messages: next })
-      })
-      const j = await r.json()
-      if (j?.role === 'assistant') {
-        setChatMessages([...next, { role: 'assistant', content: j.content || '' }])
-      } else if (j?.error) {
-        setChatMessages([...next, { role: 'assistant', content: `Error: ${j.error}` }])
+      // Every chat is stored server-side; start a conversation on the first message
+      let id = conversationId
+      if (!id) {
+        const created = await apiFetch('/api/conversations', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        }).then(r => r.json())
+        id = created.id
+        setConversationId(id)
       }
+      await streamChat({ conversationId: id, message: content }, next, { role: 'assistant', content: '', tools: [], status: 'waiting' })
     } catch (err) {
       setChatMessages([...next, { role: 'assistant', content: `Request failed: ${String(err)}` }])
     } finally {
       setChatLoading(false)
+      await conversations.refresh()
+    }
+  }
+
+  // Approve, edit or reject a tool call the run paused on; it resumes once every pending call has a decision
+  const decideToolCall = async (tool, action) => {
+    const last = chatMessages[chatMessages.length - 1]
+    const decision = { toolCallId: tool.id, action }
+    if (action === 'edit') {
+      const text = window.prompt(`Arguments for ${tool.name}`, JSON.stringify(tool.args))
+      if (text === null) return
+      try {
+        decision.args = JSON.parse(text)
+      } catch {
+        window.alert('Arguments must be valid JSON')
+        return
+      }
+    } else if (action === 'reject') {
+      const reason = window.prompt('Reason (optional)', '')
+      if (reason === null) return
+      if (reason.trim()) decision.reason = reason.trim()
+    }
+    const base = chatMessages.slice(0, -1)
+    const tools = last.tools.map((t) => (t.id === tool.id ? { ...t, decision } : t))
+    const pending = tools.filter((t) => t.output === undefined)
+    if (pending.some((t) => !t.decision)) {
+      setChatMessages([...base, { ...last, tools }])
+      return
+    }
+    setChatLoading(true)
+    try {
+      const resumed = { ...last, tools, awaitingApproval: false, status: 'waiting', error: null }
+      await streamChat({ conversationId, approvals: pending.map((t) => t.decision) }, base, resumed)
+    } finally {
+      setChatLoading(false)
+      await conversations.refresh()
     }
   }
 
@@ -131,139 +567,422 @@ export default function App() {
 
   return (
     <div className="container py-4">
-      <h2 className="h3 mb-3">MCP SQLite Store/Sum</h2>
-
-      <section className="card mb-3">
-        <div className="card-body">
-          <h3 className="h5 card-title mb-3">Chat</h3>
-          <form onSubmit={sendChat} className="d-flex flex-wrap gap-2 align-items-center mb-2">
-            <input
-              type="text"
-              placeholder="Ask with tools..."
-              value={chatInput}
-              onChange={(e) => setChatInput(e.target.value)}
-              className="form-control flex-grow-1"
-            />
-            <button type="submit" className="btn btn-primary" disabled={chatLoading}>
-              {chatLoading ? 'Sending...' : 'Send'}
-            </button>
-          </form>
-          <div className="bg-body-secondary p-3 rounded small" style={{ whiteSpace: 'pre-wrap', minHeight: '80px' }}>
-            {chatMessages.length === 0 ? (
-              <span className="text-body-secondary">No messages yet</span>
-            ) : (
-              chatMessages.map((m, i) => (
-                <div key={i} className="mb-2">
-                  <strong>{m.role}:</strong> {m.content}
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+        <h2 className="h3 mb-0 me-auto">MCP SQLite Store/Sum</h2>
+        {me !== undefined && (
+          <span className={`small ${me ? 'text-body-secondary' : 'text-warning'}`}>
+            {me ? `Signed in as ${me.name}${me.scopes?.includes('entries:write') ? '' : ' (read-only)'}` : 'Not authorized: enter an API token'}
+          </span>
+        )}
+        <form onSubmit={saveToken} className="d-flex gap-2">
+          <input
+            type="password"
+            placeholder="API token"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            className="form-control form-control-sm"
+            style={{ width: '200px' }}
+          />
+          <button type="submit" className="btn btn-outline-light btn-sm">Save</button>
+        </form>
+      </div>
+
+      <ul className="nav nav-tabs mb-3">
+        <li className="nav-item">
+          <button onClick={() => setTab('main')} className={`nav-link ${tab === 'main' ? 'active' : ''}`}>Store & chat</button>
+        </li>
+        <li className="nav-item">
+          <button onClick={() => setTab('audit')} className={`nav-link ${tab === 'audit' ? 'active' : ''}`}>Audit</button>
+        </li>
+      </ul>
+
+      {tab === 'audit' ? (
+        <AuditLog />
+      ) : (
+        <>
+          <section className="card mb-3">
+            <div className="card-body">
+              <div className="row g-3">
+                <div className="col-md-3">
+                  <div className="d-flex align-items-center justify-content-between mb-2">
+                    <h3 className="h6 mb-0">Conversations</h3>
+                    <button onClick={newConversation} className="btn btn-outline-light btn-sm">New</button>
+                  </div>
+                  <div className="list-group small" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+                    {conversations.items.length === 0 ? (
+                      <span className="text-body-secondary">No conversations yet</span>
+                    ) : (
+                      conversations.items.map((c) => (
+                        <div
+                          key={c.id}
+                          className={`list-group-item list-group-item-action d-flex align-items-center gap-1 ${c.id === conversationId ? 'active' : ''}`}
+                        >
+                          <button
+                            onClick={() => openConversation(c.id)}
+                            className="btn btn-link btn-sm p-0 text-start text-truncate flex-grow-1 text-reset text-decoration-none"
+                            title={c.title || `Conversation ${c.id}`}
+                          >
+                            {c.title || `Conversation ${c.id}`}
+                          </button>
+                          <button onClick={() => renameConversation(c)} className="btn btn-sm py-0 px-1" title="Rename">✎</button>
+                          <button onClick={() => deleteConversation(c)} className="btn btn-sm py-0 px-1" title="Delete">×</button>
+                        </div>
+                      ))
+                    )}
+                  </div>
+                </div>
+                <div className="col-md-9">
+                  <h3 className="h5 card-title mb-3">Chat</h3>
+                  <form onSubmit={sendChat} className="d-flex flex-wrap gap-2 align-items-center mb-2">
+                    <input
+                      type="text"
+                      placeholder="Ask with tools..."
+                      value={chatInput}
+                      onChange={(e) => setChatInput(e.target.value)}
+                      className="form-control flex-grow-1"
+                    />
+                    <select
+                      value={modelChoice}
+                      onChange={(e) => setModelChoice(e.target.value)}
+                      className="form-select w-auto"
+                      title="Model"
+                    >
+                      <option value="">Default model</option>
+                      {models.providers.map((p) => (
+                        <optgroup key={p.name} label={p.available ? p.name : `${p.name} (no API key)`}>
+                          {p.models.map((m) => (
+                            <option key={m} value={`${p.name}::${m}`} disabled={!p.available}>{m}</option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      max="2"
+                      step="0.1"
+                      placeholder="temp"
+                      value={temperature}
+                      onChange={(e) => setTemperature(e.target.value)}
+                      className="form-control"
+                      style={{ width: '90px' }}
+                      title="Temperature (empty = provider default)"
+                    />
+                    <button type="submit" className="btn btn-primary" disabled={chatLoading}>
+                      {chatLoading ? 'Sending...' : 'Send'}
+                    </button>
+                  </form>
+                  <div className="bg-body-secondary p-3 rounded small" style={{ whiteSpace: 'pre-wrap', minHeight: '80px' }}>
+                    {chatMessages.length === 0 ? (
+                      <span className="text-body-secondary">No messages yet</span>
+                    ) : (
+                      chatMessages.map((m, i) => (
+                        <div key={i} className="mb-2">
+                          <strong>{m.role}:</strong>
+                          {(m.mcpErrors || []).map((e) => (
+                            <div key={e.server} className="text-warning">MCP server {e.server} unavailable: {e.error}</div>
+                          ))}
+                          {(m.tools || []).map((t) => (
+                            <div key={t.id} className="font-monospace ms-3 text-body-secondary">
+                              → {t.name}({JSON.stringify(t.args)})
+                              {m.awaitingApproval && t.output === undefined && (
+                                t.decision ? (
+                                  <span className="ms-2 fst-italic">({t.decision.action})</span>
+                                ) : (
+                                  <span className="ms-2">
+                                    <button onClick={() => decideToolCall(t, 'approve')} className="btn btn-success btn-sm py-0" disabled={chatLoading}>Approve</button>{' '}
+                                    <button onClick={() => decideToolCall(t, 'edit')} className="btn btn-outline-light btn-sm py-0" disabled={chatLoading}>Edit</button>{' '}
+                                    <button onClick={() => decideToolCall(t, 'reject')} className="btn btn-outline-danger btn-sm py-0" disabled={chatLoading}>Reject</button>
+                                  </span>
+                                )
+                              )}
+                              {t.output !== undefined && (
+                                <div className={t.isError ? 'text-danger' : ''}>
+                                  ← {typeof t.output === 'string' ? t.output : JSON.stringify(t.output)}
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                          {' '}{m.content}
+                          {m.status && <span className="text-body-secondary fst-italic"> ({m.status}…)</span>}
+                          {m.awaitingApproval && <div className="text-warning">Waiting for your approval of the tool calls above</div>}
+                          {m.error && <div className="text-danger">Error: {m.error}</div>}
+                          {m.usage && !m.status && (
+                            <div className="text-body-secondary" style={{ fontSize: '0.75em' }}>
+                              {m.model ? `${m.provider}/${m.model} · ` : ''}{m.finishReason ? `${m.finishReason} · ` : ''}{m.usage.totalTokens} tokens
+                            </div>
+                          )}
+                        </div>
+                      ))
+                    )}
+                  </div>
                 </div>
-              ))
-            )}
-          </div>
-        </div>
-      </section>
-
-      <section className="card mb-3">
-        <div className="card-body">
-          <h3 className="h5 card-title mb-3">Store tool</h3>
-          <form onSubmit={doStore} className="d-flex flex-wrap gap-2 align-items-center">
-            <input
-              type="number"
-              placeholder="value (int)"
-              value={storeValue}
-              onChange={(e) => setStoreValue(e.target.value)}
-              className="form-control"
-              style={{ width: '140px' }}
-            />
-            <input
-              type="text"
-              placeholder="description"
-              value={storeDesc}
-              onChange={(e) => setStoreDesc(e.target.value)}
-              className="form-control flex-grow-1"
-              style={{ minWidth: '220px' }}
-            />
-            <button type="submit" className="btn btn-primary">Store</button>
-          </form>
-          {storeResult && (
-            <pre className="bg-body-secondary p-3 rounded mt-3 mb-0 small" style={{ whiteSpace: 'pre-wrap' }}>
-              {JSON.stringify(storeResult, null, 2)}
-            </pre>
-          )}
-        </div>
-      </section>
-
-      <section className="card mb-3">
-        <div className="card-body">
-          <h3 className="h5 card-title mb-3">Sum tool</h3>
-          <form onSubmit={doSum} className="d-flex flex-wrap gap-2 align-items-center">
-            <input
-              type="text"
-              placeholder="from (ISO)"
-              value={sumFrom}
-              onChange={(e) => setSumFrom(e.target.value)}
-              className="form-control"
-              style={{ minWidth: '260px' }}
-            />
-            <input
-              type="text"
-              placeholder="to (ISO)"
-              value={sumTo}
-              onChange={(e) => setSumTo(e.target.value)}
-              className="form-control"
-              style={{ minWidth: '260px' }}
-            />
-            <button type="submit" className="btn btn-primary">Sum</button>
-          </form>
-          {sumResult && (
-            <pre className="bg-body-secondary p-3 rounded mt-3 mb-0 small" style={{ whiteSpace: 'pre-wrap' }}>
-              {JSON.stringify(sumResult, null, 2)}
-            </pre>
-          )}
-        </div>
-      </section>
-
-      <section className="card mb-3">
-        <div className="card-body">
-          <h3 className="h5 card-title">Entries</h3>
-          {loading ? (
-            <div className="text-body-secondary">Loading...</div>
-          ) : (
-            <>
-              <div className="table-responsive mt-2">
-                <table className="table table-striped table-hover align-middle">
-                  <thead>
-                    <tr>
-                      <th scope="col" className="text-start">ID</th>
-                      <th scope="col" className="text-start">Value</th>
-                      <th scope="col" className="text-start">Description</th>
-                      <th scope="col" className="text-start">Created</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {data.items.map((it) => (
-                      <tr key={it.id}>
-                        <td className="py-2">{it.id}</td>
-                        <td className="py-2">{it.value}</td>
-                        <td className="py-2">{it.description}</td>
-                        <td className="py-2">{new Date(it.created_at).toLocaleString()}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
               </div>
-              <div className="d-flex align-items-center gap-2 mt-2">
-                <div className="btn-group" role="group" aria-label="Pagination">
-                  <button onClick={() => goto(1)} disabled={page <= 1} className="btn btn-outline-light btn-sm">First</button>
-                  <button onClick={() => goto(page - 1)} disabled={page <= 1} className="btn btn-outline-light btn-sm">Prev</button>
-                  <button onClick={() => goto(page + 1)} disabled={page >= pages} className="btn btn-outline-light btn-sm">Next</button>
-                  <button onClick={() => goto(pages)} disabled={page >= pages} className="btn btn-outline-light btn-sm">Last</button>
+            </div>
+          </section>
+
+          <section className="card mb-3">
+            <div className="card-body">
+              <h3 className="h5 card-title mb-3">Store tool</h3>
+              <form onSubmit={doStore} className="d-flex flex-wrap gap-2 align-items-center">
+                <input
+                  type="number"
+                  placeholder="value (int)"
+                  value={storeValue}
+                  onChange={(e) => setStoreValue(e.target.value)}
+                  className="form-control"
+                  style={{ width: '140px' }}
+                />
+                <input
+                  type="text"
+                  placeholder="description"
+                  value={storeDesc}
+                  onChange={(e) => setStoreDesc(e.target.value)}
+                  className="form-control flex-grow-1"
+                  style={{ minWidth: '220px' }}
+                />
+                <button type="submit" className="btn btn-primary">Store</button>
+              </form>
+              {storeResult && (
+                <pre className="bg-body-secondary p-3 rounded mt-3 mb-0 small" style={{ whiteSpace: 'pre-wrap' }}>
+                  {JSON.stringify(storeResult, null, 2)}
+                </pre>
+              )}
+            </div>
+          </section>
+
+          <section className="card mb-3">
+            <div className="card-body">
+              <h3 className="h5 card-title mb-3">Sum tool</h3>
+              <form onSubmit={doSum} className="d-flex flex-wrap gap-2 align-items-center">
+                <select
+                  value={sumRange}
+                  onChange={(e) => setSumRange(e.target.value)}
+                  className="form-select"
+                  style={{ width: '180px' }}
+                >
+                  <option value="">custom from/to</option>
+                  <option value="today">today</option>
+                  <option value="yesterday">yesterday</option>
+                  <option value="last_24_hours">last 24 hours</option>
+                  <option value="last_7_days">last 7 days</option>
+                  <option value="this_week">this week</option>
+                  <option value="this_month">this month</option>
+                  <option value="last_month">last month</option>
+                  <option value="this_year">this year</option>
+                </select>
+                <input
+                  type="text"
+                  placeholder="from (ISO)"
+                  value={sumFrom}
+                  onChange={(e) => setSumFrom(e.target.value)}
+                  disabled={!!sumRange}
+                  className="form-control"
+                  style={{ minWidth: '260px' }}
+                />
+                <input
+                  type="text"
+                  placeholder="to (ISO)"
+                  value={sumTo}
+                  onChange={(e) => setSumTo(e.target.value)}
+                  disabled={!!sumRange}
+                  className="form-control"
+                  style={{ minWidth: '260px' }}
+                />
+                <button type="submit" className="btn btn-primary">Sum</button>
+              </form>
+              {sumResult && (
+                <pre className="bg-body-secondary p-3 rounded mt-3 mb-0 small" style={{ whiteSpace: 'pre-wrap' }}>
+                  {JSON.stringify(sumResult, null, 2)}
+                </pre>
+              )}
+            </div>
+          </section>
+
+          <section className="card mb-3">
+            <div className="card-body">
+              <h3 className="h5 card-title mb-3">Stats</h3>
+              <form onSubmit={doStats} className="d-flex flex-wrap gap-2 align-items-center">
+                <select
+                  value={statsGroupBy}
+                  onChange={(e) => setStatsGroupBy(e.target.value)}
+                  className="form-select"
+                  style={{ width: '160px' }}
+                >
+                  <option value="">no bucket</option>
+                  <option value="hour">hour</option>
+                  <option value="day">day</option>
+                  <option value="week">week</option>
+                  <option value="month">month</option>
+                </select>
+                <input
+                  type="text"
+                  placeholder="timezone (IANA)"
+                  value={statsTimezone}
+                  onChange={(e) => setStatsTimezone(e.target.value)}
+                  className="form-control"
+                  style={{ width: '200px' }}
+                />
+                <div className="form-check">
+                  <input
+                    id="stats-by-desc"
+                    type="checkbox"
+                    checked={statsByDesc}
+                    onChange={(e) => setStatsByDesc(e.target.checked)}
+                    className="form-check-input"
+                  />
+                  <label htmlFor="stats-by-desc" className="form-check-label">by description</label>
+                </div>
+                <button type="submit" className="btn btn-primary">Stats</button>
+              </form>
+              {statsResult?.error && (
+                <div className="text-danger small mt-3">{statsResult.error}</div>
+              )}
+              {statsResult?.rows && (
+                <div className="table-responsive mt-3">
+                  <table className="table table-sm table-striped align-middle mb-0">
+                    <thead>
+                      <tr>
+                        {statsResult.columns.map((c) => (
+                          <th key={c} scope="col" className="text-start">{c}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {statsResult.rows.map((row, i) => (
+                        <tr key={i}>
+                          {statsResult.columns.map((c) => (
+                            <td key={c}>{row[c] ?? ''}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </section>
+
+          <section className="card mb-3">
+            <div className="card-body">
+              <div className="d-flex flex-wrap align-items-center gap-2">
+                <h3 className="h5 card-title mb-0 me-auto">Entries</h3>
+                <div className="btn-group" role="group" aria-label="Export">
+                  {['csv', 'json', 'ndjson'].map((f) => (
+                    <button key={f} onClick={() => exportEntries(f)} className="btn btn-outline-light btn-sm">Export {f.toUpperCase()}</button>
+                  ))}
+                </div>
+                <label className="btn btn-outline-light btn-sm mb-0">
+                  Import…
+                  <input type="file" accept=".csv,.json,.ndjson" onChange={importFile} hidden />
+                </label>
+                <div className="form-check mb-0">
+                  <input
+                    id="import-dry-run"
+                    type="checkbox"
+                    checked={importDryRun}
+                    onChange={(e) => setImportDryRun(e.target.checked)}
+                    className="form-check-input"
+                  />
+                  <label htmlFor="import-dry-run" className="form-check-label small">dry run</label>
                 </div>
-                <span className="ms-2 small">Page {data.page} / {pages}</span>
               </div>
-            </>
-          )}
-        </div>
-      </section>
+              {importResult && (
+                <div className={`small mt-2 ${importResult.error || importResult.errorCount ? 'text-warning' : 'text-body-secondary'}`}>
+                  {importResult.error
+                    ? `Import failed: ${importResult.error}`
+                    : `${importResult.dryRun ? 'Dry run: ' : ''}${importResult.valid}/${importResult.total} rows valid, ${importResult.imported} imported`}
+                  {(importResult.errors || []).map((e) => (
+                    <div key={e.row}>Row {e.row}: {e.error}</div>
+                  ))}
+                </div>
+              )}
+              <form onSubmit={filterEntries} className="d-flex flex-wrap gap-2 align-items-center mt-2">
+                <input
+                  type="search"
+                  placeholder="search descriptions"
+                  value={entryFilters.q}
+                  onChange={setEntryFilter('q')}
+                  className="form-control form-control-sm"
+                  style={{ width: '220px' }}
+                />
+                <input
+                  type="number"
+                  placeholder="min value"
+                  value={entryFilters.minValue}
+                  onChange={setEntryFilter('minValue')}
+                  className="form-control form-control-sm"
+                  style={{ width: '110px' }}
+                />
+                <input
+                  type="number"
+                  placeholder="max value"
+                  value={entryFilters.maxValue}
+                  onChange={setEntryFilter('maxValue')}
+                  className="form-control form-control-sm"
+                  style={{ width: '110px' }}
+                />
+                <select value={entryFilters.range} onChange={setEntryFilter('range')} className="form-select form-select-sm w-auto">
+                  <option value="">any time</option>
+                  <option value="today">today</option>
+                  <option value="last_7_days">last 7 days</option>
+                  <option value="this_month">this month</option>
+                  <option value="last_month">last month</option>
+                  <option value="this_year">this year</option>
+                </select>
+                <select value={entryFilters.sort} onChange={setEntryFilter('sort')} className="form-select form-select-sm w-auto">
+                  <option value="">by date</option>
+                  <option value="value">by value</option>
+                  <option value="relevance">by relevance</option>
+                </select>
+                <select value={entryFilters.order} onChange={setEntryFilter('order')} className="form-select form-select-sm w-auto">
+                  <option value="">descending</option>
+                  <option value="asc">ascending</option>
+                </select>
+                <button type="submit" className="btn btn-primary btn-sm">Filter</button>
+              </form>
+              {entriesError && <div className="text-danger small mt-2">{entriesError}</div>}
+              {loading ? (
+                <div className="text-body-secondary">Loading...</div>
+              ) : (
+                <>
+                  <div className="table-responsive mt-2">
+                    <table className="table table-striped table-hover align-middle">
+                      <thead>
+                        <tr>
+                          <th scope="col" className="text-start">ID</th>
+                          <th scope="col" className="text-start">Value</th>
+                          <th scope="col" className="text-start">Description</th>
+                          <th scope="col" className="text-start">Created</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {data.items.map((it) => (
+                          <tr key={it.id}>
+                            <td className="py-2">{it.id}</td>
+                            <td className="py-2">{it.value}</td>
+                            <td className="py-2">{it.snippet ? <Snippet text={it.snippet} /> : it.description}</td>
+                            <td className="py-2">{new Date(it.created_at).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="d-flex align-items-center gap-2 mt-2">
+                    <div className="btn-group" role="group" aria-label="Pagination">
+                      <button onClick={() => goto(1)} disabled={page <= 1} className="btn btn-outline-light btn-sm">First</button>
+                      <button onClick={() => goto(page - 1)} disabled={page <= 1} className="btn btn-outline-light btn-sm">Prev</button>
+                      <button onClick={() => goto(page + 1)} disabled={page >= pages} className="btn btn-outline-light btn-sm">Next</button>
+                      <button onClick={() => goto(pages)} disabled={page >= pages} className="btn btn-outline-light btn-sm">Last</button>
+                    </div>
+                    <span className="ms-2 small">Page {data.page} / {pages}</span>
+                  </div>
+                </>
+              )}
+            </div>
+          </section>
+        </>
+      )}
 
       <p className="text-secondary mt-3">
         MCP SSE URL to test with Inspector: <code>http://localhost:4444/sse</code>
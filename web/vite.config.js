@@ -15,6 +15,10 @@ export default defineConfig({
         target: 'http://localhost:4444',
         changeOrigin: true,
       },
+      '/mcp': {
+        target: 'http://localhost:4444',
+        changeOrigin: true,
+      },
     },
   },
   build: {